@@ -6,6 +6,8 @@ const cors = require('cors');
 const fetch = require('node-fetch');
 const path = require('path');
 const crypto = require('crypto');
+const net = require('net');
+const tls = require('tls');
 const jwt = require('jsonwebtoken');
 
 // ─── Supabase (optional — only active if env vars are set) ────────────────────
@@ -20,8 +22,10 @@ if (process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_KEY) {
 
 // ─── Ethers for EVM signature verification ────────────────────────────────────
 let ethersVerify = null;
+let ethersLib = null; // full ethers namespace — used for SIWE / EIP-1271 helpers
 try {
   const { ethers } = require('ethers');
+  ethersLib = ethers;
   // Works for both ethers v5 (utils.verifyMessage) and v6 (verifyMessage)
   ethersVerify = ethers.verifyMessage
     ? (msg, sig) => ethers.verifyMessage(msg, sig)
@@ -51,26 +55,409 @@ const base58Decode = (input) => {
   return Buffer.from(bytes.reverse());
 };
 
+// ─── Inline bech32 decoder (Cardano addr1… / stake1… → raw address bytes) ─────
+const BECH32_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const bech32Decode = (input) => {
+  const str = input.toLowerCase();
+  const sep = str.lastIndexOf('1');
+  if (sep < 1 || sep + 7 > str.length) throw new Error('Invalid bech32 string');
+  const hrp = str.slice(0, sep);
+  const data = [...str.slice(sep + 1)].map(c => {
+    const v = BECH32_CHARSET.indexOf(c);
+    if (v < 0) throw new Error('Invalid bech32 char: ' + c);
+    return v;
+  });
+  const GEN = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+  let chk = 1;
+  const hrpExpand = [...hrp].map(c => c.charCodeAt(0) >> 5).concat([0], [...hrp].map(c => c.charCodeAt(0) & 31));
+  for (const v of [...hrpExpand, ...data]) {
+    const top = chk >> 25; chk = ((chk & 0x1ffffff) << 5) ^ v;
+    for (let i = 0; i < 5; i++) if ((top >> i) & 1) chk ^= GEN[i];
+  }
+  if (chk !== 1) throw new Error('Invalid bech32 checksum');
+  // Regroup 5-bit words into bytes, dropping the 6-word checksum
+  let acc = 0, bits = 0;
+  const bytes = [];
+  for (const v of data.slice(0, -6)) {
+    acc = (acc << 5) | v; bits += 5;
+    while (bits >= 8) { bits -= 8; bytes.push((acc >> bits) & 0xff); }
+  }
+  return { hrp, bytes: Buffer.from(bytes) };
+};
+
+// ─── Inline BLAKE2b (Cardano key hashes are blake2b-224, Node only ships -512) ─
+const BLAKE2B_IV = [
+  0x6a09e667f3bcc908n, 0xbb67ae8584caa73bn, 0x3c6ef372fe94f82bn, 0xa54ff53a5f1d36f1n,
+  0x510e527fade682d1n, 0x9b05688c2b3e6c1fn, 0x1f83d9abfb41bd6bn, 0x5be0cd19137e2179n
+];
+const BLAKE2B_SIGMA = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15], [14, 10, 4, 8, 9, 15, 13, 6, 1, 12, 0, 2, 11, 7, 5, 3],
+  [11, 8, 12, 0, 5, 2, 15, 13, 10, 14, 3, 6, 7, 1, 9, 4], [7, 9, 3, 1, 13, 12, 11, 14, 2, 6, 5, 10, 4, 0, 15, 8],
+  [9, 0, 5, 7, 2, 4, 10, 15, 14, 1, 11, 12, 6, 8, 3, 13], [2, 12, 6, 10, 0, 11, 8, 3, 4, 13, 7, 5, 15, 14, 1, 9],
+  [12, 5, 1, 15, 14, 13, 4, 10, 0, 7, 6, 3, 9, 2, 8, 11], [13, 11, 7, 14, 12, 1, 3, 9, 5, 0, 15, 4, 8, 6, 2, 10],
+  [6, 15, 14, 9, 11, 3, 0, 8, 12, 2, 13, 7, 1, 4, 10, 5], [10, 2, 8, 4, 7, 6, 1, 5, 15, 11, 9, 14, 3, 12, 13, 0]
+];
+const blake2b = (input, outLen = 32) => {
+  const M64 = (1n << 64n) - 1n;
+  const rotr = (x, n) => ((x >> n) | (x << (64n - n))) & M64;
+  const h = [...BLAKE2B_IV];
+  h[0] ^= 0x01010000n ^ BigInt(outLen);
+  const buf = Buffer.from(input);
+  const blocks = Math.max(1, Math.ceil(buf.length / 128));
+  for (let b = 0; b < blocks; b++) {
+    const block = Buffer.alloc(128);
+    buf.copy(block, 0, b * 128, Math.min(buf.length, (b + 1) * 128));
+    const m = Array.from({ length: 16 }, (_, i) => block.readBigUInt64LE(i * 8));
+    const last = b === blocks - 1;
+    const v = [...h, ...BLAKE2B_IV];
+    v[12] ^= BigInt(last ? buf.length : (b + 1) * 128);
+    if (last) v[14] ^= M64;
+    const G = (a, bb, c, d, x, y) => {
+      v[a] = (v[a] + v[bb] + x) & M64; v[d] = rotr(v[d] ^ v[a], 32n);
+      v[c] = (v[c] + v[d]) & M64;      v[bb] = rotr(v[bb] ^ v[c], 24n);
+      v[a] = (v[a] + v[bb] + y) & M64; v[d] = rotr(v[d] ^ v[a], 16n);
+      v[c] = (v[c] + v[d]) & M64;      v[bb] = rotr(v[bb] ^ v[c], 63n);
+    };
+    for (let r = 0; r < 12; r++) {
+      const s = BLAKE2B_SIGMA[r % 10];
+      G(0, 4, 8, 12, m[s[0]], m[s[1]]);   G(1, 5, 9, 13, m[s[2]], m[s[3]]);
+      G(2, 6, 10, 14, m[s[4]], m[s[5]]);  G(3, 7, 11, 15, m[s[6]], m[s[7]]);
+      G(0, 5, 10, 15, m[s[8]], m[s[9]]);  G(1, 6, 11, 12, m[s[10]], m[s[11]]);
+      G(2, 7, 8, 13, m[s[12]], m[s[13]]); G(3, 4, 9, 14, m[s[14]], m[s[15]]);
+    }
+    for (let i = 0; i < 8; i++) h[i] ^= v[i] ^ v[i + 8];
+  }
+  const out = Buffer.alloc(64);
+  h.forEach((w, i) => out.writeBigUInt64LE(w, i * 8));
+  return out.subarray(0, outLen);
+};
+
+// ─── Minimal CBOR codec (enough for CIP-8 COSE_Sign1 / COSE_Key) ─────────────
+// Maps decode to JS Map because COSE uses integer (incl. negative) keys.
+const cborDecode = (input) => {
+  const buf = Buffer.from(input);
+  let pos = 0;
+  const readLen = (info) => {
+    if (info < 24) return info;
+    if (info === 24) return buf.readUInt8(pos++);
+    if (info === 25) { const v = buf.readUInt16BE(pos); pos += 2; return v; }
+    if (info === 26) { const v = buf.readUInt32BE(pos); pos += 4; return v; }
+    if (info === 27) { const v = Number(buf.readBigUInt64BE(pos)); pos += 8; return v; }
+    if (info === 31) return -1; // indefinite length
+    throw new Error('Unsupported CBOR length encoding');
+  };
+  const readItem = () => {
+    if (pos >= buf.length) throw new Error('Unexpected end of CBOR');
+    const byte = buf[pos++];
+    const major = byte >> 5, info = byte & 0x1f;
+    if (major === 7) {
+      if (info === 20) return false;
+      if (info === 21) return true;
+      if (info === 22 || info === 23) return null;
+      if (info === 31) return Symbol.for('cbor.break');
+      throw new Error('Unsupported CBOR simple value');
+    }
+    const len = readLen(info);
+    switch (major) {
+      case 0: return len;
+      case 1: return -1 - len;
+      case 2: case 3: {
+        let bytes;
+        if (len < 0) {
+          const chunks = [];
+          for (let c = readItem(); c !== Symbol.for('cbor.break'); c = readItem()) chunks.push(Buffer.from(c));
+          bytes = Buffer.concat(chunks);
+        } else {
+          if (pos + len > buf.length) throw new Error('Unexpected end of CBOR');
+          bytes = buf.subarray(pos, pos + len); pos += len;
+        }
+        return major === 2 ? Buffer.from(bytes) : bytes.toString('utf8');
+      }
+      case 4: {
+        const arr = [];
+        if (len < 0) { for (let v = readItem(); v !== Symbol.for('cbor.break'); v = readItem()) arr.push(v); }
+        else for (let i = 0; i < len; i++) arr.push(readItem());
+        return arr;
+      }
+      case 5: {
+        const map = new Map();
+        if (len < 0) { for (let k = readItem(); k !== Symbol.for('cbor.break'); k = readItem()) map.set(k, readItem()); }
+        else for (let i = 0; i < len; i++) { const k = readItem(); map.set(k, readItem()); }
+        return map;
+      }
+      case 6: return readItem(); // tags carry no meaning for COSE — return the tagged value
+    }
+  };
+  const value = readItem();
+  if (pos !== buf.length) throw new Error('Trailing bytes after CBOR item');
+  return value;
+};
+
+const cborHead = (major, len) => {
+  if (len < 24) return Buffer.from([(major << 5) | len]);
+  if (len < 0x100) return Buffer.from([(major << 5) | 24, len]);
+  if (len < 0x10000) { const b = Buffer.alloc(3); b[0] = (major << 5) | 25; b.writeUInt16BE(len, 1); return b; }
+  const b = Buffer.alloc(5); b[0] = (major << 5) | 26; b.writeUInt32BE(len, 1); return b;
+};
+const cborBytes = (bytes) => Buffer.concat([cborHead(2, bytes.length), bytes]);
+const cborText = (str) => { const b = Buffer.from(str, 'utf8'); return Buffer.concat([cborHead(3, b.length), b]); };
+
+// ─── CIP-8 / CIP-30 signData verification ────────────────────────────────────
+// Returns the key hashes (hex) an address can be controlled by: its payment key
+// credential and/or its stake key credential. Script credentials are skipped.
+const cardanoAddressKeyHashes = (address) => {
+  const { hrp, bytes } = bech32Decode(address);
+  if (!/^(addr|stake)(_test)?$/.test(hrp)) throw new Error('Not a Cardano address');
+  const type = bytes[0] >> 4;
+  const hashes = [];
+  if (type <= 7 && type % 2 === 0) hashes.push(bytes.subarray(1, 29).toString('hex')); // payment key
+  if (type === 0 || type === 1) hashes.push(bytes.subarray(29, 57).toString('hex'));   // base addr stake key
+  if (type === 14) hashes.push(bytes.subarray(1, 29).toString('hex'));                   // reward addr
+  return { bytes, hashes };
+};
+
+// Verify a CIP-30 DataSignature { signature: COSE_Sign1 hex, key: COSE_Key hex }
+// over `message` for `address`. Throws on malformed input, returns false on mismatch.
+const verifyCip8Signature = ({ address, signature, key, message }) => {
+  const coseSign1 = cborDecode(Buffer.from(signature, 'hex'));
+  if (!Array.isArray(coseSign1) || coseSign1.length !== 4) throw new Error('Malformed COSE_Sign1');
+  const [protectedBytes, unprotected, payload, sigBytes] = coseSign1;
+  const protectedMap = protectedBytes.length ? cborDecode(protectedBytes) : new Map();
+  const coseKey = cborDecode(Buffer.from(key, 'hex'));
+  if (!(coseKey instanceof Map)) throw new Error('Malformed COSE_Key');
+
+  // COSE_Key must be an Ed25519 OKP key (kty 1, crv 6); alg, if present, must be EdDSA (-8)
+  const pubKey = coseKey.get(-2);
+  if (coseKey.get(1) !== 1 || coseKey.get(-1) !== 6 || !Buffer.isBuffer(pubKey) || pubKey.length !== 32)
+    throw new Error('COSE_Key is not an Ed25519 public key');
+  const alg = protectedMap.get(1);
+  if (alg !== undefined && alg !== -8) throw new Error('Unsupported COSE algorithm');
+
+  // Payload must be the exact message we issued (or its blake2b-224 when the wallet hashed it)
+  const msgBytes = Buffer.from(message, 'utf8');
+  const hashed = unprotected instanceof Map && unprotected.get('hashed') === true;
+  const expected = hashed ? blake2b(msgBytes, 28) : msgBytes;
+  if (!Buffer.isBuffer(payload) || !payload.equals(expected)) return false;
+
+  // The signing address in the protected header must be the address being claimed
+  const { bytes: addrBytes, hashes } = cardanoAddressKeyHashes(address);
+  const headerAddr = protectedMap.get('address');
+  if (headerAddr !== undefined && !(Buffer.isBuffer(headerAddr) && headerAddr.equals(addrBytes))) return false;
+
+  // The key must hash to the payment or stake credential of that address
+  if (!hashes.includes(blake2b(pubKey, 28).toString('hex'))) return false;
+
+  const sigStructure = Buffer.concat([
+    Buffer.from([0x84]), cborText('Signature1'), cborBytes(protectedBytes),
+    cborBytes(Buffer.alloc(0)), cborBytes(payload)
+  ]);
+  return nacl.sign.detached.verify(sigStructure, sigBytes, pubKey);
+};
+
 const JWT_SECRET = process.env.JWT_SECRET || 'chainlens-dev-secret-CHANGE-IN-PRODUCTION';
 const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:10000';
+// SIWE domain/URI the EVM login message is bound to (must match what the wallet shows the user)
+const SIWE_DOMAIN = process.env.SIWE_DOMAIN || new URL(FRONTEND_URL).host;
+const SIWE_URI = process.env.SIWE_URI || FRONTEND_URL;
+
+// ─── Key/value store (auth nonces, OAuth state, caches) ──────────────────────
+// In-memory by default; set REDIS_URL to share state across instances and keep
+// caches over restarts. Values are JSON, every key has a TTL, and take() is an
+// atomic get-and-delete so a nonce can only ever be consumed by one instance.
+//   nonce:<address_lower>  → { nonce, expires }
+//   oauth:<state>          → { expires, linkToken, reauth }
+//   reauth-social:<nonce>  → { userId, sid } — single-use, starts a social re-auth
+//   bf-asset:<unit>        → Blockfrost /assets/<unit> metadata (kept for a week)
+//   price:* / img:* / search:*  → cached lookups
+const createMemoryStore = () => {
+  const data = new Map(); // key → { json, expires }
+  const live = (key) => {
+    const e = data.get(key);
+    if (e && e.expires < Date.now()) { data.delete(key); return null; }
+    return e || null;
+  };
+  // Auto-clean expired keys every 5 min
+  setInterval(() => {
+    const now = Date.now();
+    for (const [k, e] of data) if (e.expires < now) data.delete(k);
+  }, 5 * 60 * 1000);
+  return {
+    kind: 'memory',
+    get: async (key) => { const e = live(key); return e ? JSON.parse(e.json) : null; },
+    set: async (key, value, ttlMs) => { data.set(key, { json: JSON.stringify(value), expires: Date.now() + ttlMs }); },
+    del: async (key) => { data.delete(key); },
+    take: async (key) => { const e = live(key); data.delete(key); return e ? JSON.parse(e.json) : null; }
+  };
+};
 
-// ─── In-memory nonce store (auto-cleaned every 5 min) ────────────────────────
-const _authNonces = {}; // { address_lower: { nonce, expires } }
-const _oauthStates = {}; // { state: { expires } }
-setInterval(() => {
-  const now = Date.now();
-  Object.keys(_authNonces).forEach(k => { if (_authNonces[k].expires < now) delete _authNonces[k]; });
-  Object.keys(_oauthStates).forEach(k => { if (_oauthStates[k].expires < now) delete _oauthStates[k]; });
-}, 5 * 60 * 1000);
+// Minimal RESP2 client — redis:// or rediss://[user:pass@]host:port[/db], no extra dep.
+// Connects lazily and reconnects on the next command after the socket drops.
+// Needs Redis 6.2+ (take() uses GETDEL).
+const REDIS_COMMAND_TIMEOUT_MS = Number(process.env.REDIS_COMMAND_TIMEOUT_MS) || 2000;
+
+const createRedisStore = (redisUrl) => {
+  const url = new URL(redisUrl);
+  const prefix = process.env.REDIS_PREFIX || 'chainlens:';
+  let socket = null;
+  let buffer = Buffer.alloc(0);
+  const pending = [];
+
+  const parse = (buf, i) => {
+    const nl = buf.indexOf('\r\n', i);
+    if (nl < 0) return null;
+    const type = String.fromCharCode(buf[i]);
+    const line = buf.toString('utf8', i + 1, nl);
+    const next = nl + 2;
+    if (type === '+') return { value: line, end: next };
+    if (type === '-') return { value: new Error(line), end: next };
+    if (type === ':') return { value: Number(line), end: next };
+    if (type === '$') {
+      const len = Number(line);
+      if (len < 0) return { value: null, end: next };
+      if (buf.length < next + len + 2) return null;
+      return { value: buf.toString('utf8', next, next + len), end: next + len + 2 };
+    }
+    if (type === '*') {
+      const n = Number(line);
+      if (n < 0) return { value: null, end: next };
+      const arr = [];
+      let pos = next;
+      for (let k = 0; k < n; k++) {
+        const item = parse(buf, pos);
+        if (!item) return null;
+        arr.push(item.value); pos = item.end;
+      }
+      return { value: arr, end: pos };
+    }
+    throw new Error('Unexpected Redis reply type: ' + type);
+  };
+
+  const connect = () => {
+    const opts = { host: url.hostname, port: Number(url.port) || 6379 };
+    const sock = url.protocol === 'rediss:' ? tls.connect({ ...opts, servername: url.hostname }) : net.connect(opts);
+    socket = sock;
+    buffer = Buffer.alloc(0);
+    sock.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let item;
+      try {
+        while (pending.length && (item = parse(buffer, 0))) {
+          buffer = buffer.subarray(item.end);
+          const p = pending.shift();
+          item.value instanceof Error ? p.reject(item.value) : p.resolve(item.value);
+        }
+      } catch (e) {
+        // A reply we can't parse leaves the stream out of sync — drop the connection, which
+        // rejects everything pending through fail() and reconnects on the next command
+        sock.destroy(e);
+      }
+    });
+    const fail = (err) => {
+      if (socket !== sock) return; // already failed (error then close); pending belongs to a newer socket
+      socket = null;
+      while (pending.length) pending.shift().reject(err || new Error('Redis connection closed'));
+    };
+    sock.on('error', fail);
+    sock.on('close', () => fail());
+    // AUTH / SELECT are queued ahead of whatever command triggered the connect
+    const setup = [];
+    if (url.password) setup.push(url.username
+      ? ['AUTH', decodeURIComponent(url.username), decodeURIComponent(url.password)]
+      : ['AUTH', decodeURIComponent(url.password)]);
+    if (url.pathname.length > 1) setup.push(['SELECT', url.pathname.slice(1)]);
+    setup.forEach(args => send(args).catch(e => console.error('❌ Redis setup error:', e.message)));
+  };
+
+  const send = (args) => new Promise((resolve, reject) => {
+    if (!socket) connect();
+    const sock = socket;
+    // Replies are matched to commands by order, so one that times out leaves the connection
+    // unusable: drop it, which rejects everything queued on it, and reconnect next time
+    const timer = setTimeout(() => sock.destroy(new Error(`Redis command timed out after ${REDIS_COMMAND_TIMEOUT_MS}ms`)), REDIS_COMMAND_TIMEOUT_MS);
+    const settle = (fn) => (v) => { clearTimeout(timer); fn(v); };
+    pending.push({ resolve: settle(resolve), reject: settle(reject) });
+    sock.write(`*${args.length}\r\n` + args.map(a => {
+      const s = String(a);
+      return `$${Buffer.byteLength(s)}\r\n${s}\r\n`;
+    }).join(''));
+  });
+
+  return {
+    kind: 'redis',
+    get: async (key) => { const v = await send(['GET', prefix + key]); return v === null ? null : JSON.parse(v); },
+    set: async (key, value, ttlMs) => {
+      await send(['SET', prefix + key, JSON.stringify(value), 'PX', Math.max(1, Math.round(ttlMs))]);
+    },
+    del: async (key) => { await send(['DEL', prefix + key]); },
+    take: async (key) => { const v = await send(['GETDEL', prefix + key]); return v === null ? null : JSON.parse(v); }
+  };
+};
+
+const store = process.env.REDIS_URL ? createRedisStore(process.env.REDIS_URL) : createMemoryStore();
+console.log(store.kind === 'redis' ? '✅ Redis store configured' : 'ℹ️  REDIS_URL not set — using in-memory store');
+
+// Cache reads/writes never fail a request — a store outage just means a cache miss
+const cacheGet = async (key) => {
+  try { return await store.get(key); } catch (e) { return null; }
+};
+const cacheSet = async (key, value, ttlMs) => {
+  try { await store.set(key, value, ttlMs); } catch (e) { console.error('⚠️ Cache write failed:', e.message); }
+  return value;
+};
+
+// ─── Sessions: short-lived access JWTs + rotating refresh tokens ─────────────
+// Access tokens carry the session id (sid). Refresh tokens are `<sid>.<secret>`;
+// only sha256(secret) is stored, in cl_sessions:
+//   id uuid, user_id, refresh_hash, user_agent, ip,
+//   created_at, last_seen_at, expires_at, revoked_at
+// Revoking a session sets revoked:<sid> in the store for the access-token lifetime
+// so requireAuth rejects its outstanding access token straight away.
+const ACCESS_TOKEN_TTL_SEC = 15 * 60;
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+const hashToken = (t) => crypto.createHash('sha256').update(t).digest('hex');
+const clientIp = (req) => req.headers['x-forwarded-for']?.split(',')[0].trim() || req.socket?.remoteAddress || null;
+const signAccessToken = (userId, sid) => jwt.sign({ sub: userId, sid }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL_SEC });
+
+// Start a new session for userId → { token, refresh_token }.
+// Without Supabase there is nowhere to keep sessions, so fall back to a plain 30-day token.
+const issueSession = async (userId, req) => {
+  if (!supabase) return { token: jwt.sign({ sub: userId }, JWT_SECRET, { expiresIn: '30d' }) };
+  const secret = crypto.randomBytes(32).toString('hex');
+  const now = new Date();
+  const { data, error } = await supabase
+    .from('cl_sessions')
+    .insert({
+      user_id: userId, refresh_hash: hashToken(secret),
+      user_agent: (req.headers['user-agent'] || '').substring(0, 300), ip: clientIp(req),
+      last_seen_at: now.toISOString(),
+      expires_at: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS).toISOString()
+    })
+    .select().single();
+  if (error) throw error;
+  return { token: signAccessToken(userId, data.id), refresh_token: `${data.id}.${secret}` };
+};
+
+// Verify an access token and make sure its session has not been revoked.
+// A store outage reads as "not revoked": the session row is still checked on every
+// refresh, so a revoked token lives at most ACCESS_TOKEN_TTL_SEC longer.
+const verifyAccessToken = async (token) => {
+  const claims = jwt.verify(token, JWT_SECRET);
+  if (supabase) {
+    if (!claims.sid) throw new Error('Legacy token without session');
+    if (await cacheGet(`revoked:${claims.sid}`)) throw new Error('Session revoked');
+  }
+  return claims;
+};
 
 // ─── Auth middleware ──────────────────────────────────────────────────────────
-const requireAuth = (req, res, next) => {
+const requireAuth = async (req, res, next) => {
   const token = req.headers.authorization?.replace('Bearer ', '');
   if (!token) return res.status(401).json({ error: 'No token provided' });
   try {
-    req.user = jwt.verify(token, JWT_SECRET);
-    next();
-  } catch (e) { res.status(401).json({ error: 'Invalid or expired token' }); }
+    req.user = await verifyAccessToken(token);
+  } catch (e) { return res.status(401).json({ error: 'Invalid or expired token' }); }
+  next();
 };
 
 // ─── DB helpers ──────────────────────────────────────────────────────────────
@@ -132,6 +519,102 @@ const dbLinkWallet = async (userId, { chain, address }) => {
   return data;
 };
 
+// EVM addresses are stored as the wallet reported them, so compare them case-insensitively
+const walletKey = (address) => /^0x[0-9a-fA-F]{40}$/.test(address) ? address.toLowerCase() : address;
+const walletAddressVariants = (address) => {
+  if (!/^0x[0-9a-fA-F]{40}$/.test(address)) return [address];
+  const variants = new Set([address, address.toLowerCase()]);
+  if (ethersLib) variants.add(ethersLib.getAddress(address.toLowerCase()));
+  return [...variants];
+};
+
+// User that already has this wallet linked on `chain` (ignoring excludeUserId), or null
+const dbFindWalletOwner = async (chain, address, excludeUserId = null) => {
+  if (!supabase) return null;
+  let query = supabase.from('cl_wallets').select('user_id').eq('chain', chain).in('address', walletAddressVariants(address));
+  if (excludeUserId) query = query.neq('user_id', excludeUserId);
+  const { data } = await query.order('created_at', { ascending: true }).limit(1);
+  return data?.[0]?.user_id || null;
+};
+
+// Fold sourceId into targetId — wallets, linked accounts and any profile fields the target
+// lacks move over, then the source user and its sessions are removed. Children move before
+// the source row is deleted, so a failure part-way leaves both accounts usable.
+const dbMergeUsers = async (sourceId, targetId) => {
+  const [source, target] = await Promise.all([dbGetUserById(sourceId), dbGetUserById(targetId)]);
+  if (!source || !target) throw new Error('User not found');
+  const check = ({ error }) => { if (error) throw error; };
+
+  const targetWallets = new Set((target.cl_wallets || []).map(w => walletKey(w.address)));
+  const duplicate = (source.cl_wallets || []).filter(w => targetWallets.has(walletKey(w.address)));
+  const moving = (source.cl_wallets || []).filter(w => !targetWallets.has(walletKey(w.address)));
+  if (duplicate.length) check(await supabase.from('cl_wallets').delete().in('id', duplicate.map(w => w.id)));
+  if (moving.length) {
+    const keepPrimary = (target.cl_wallets || []).some(w => w.is_primary);
+    check(await supabase.from('cl_wallets')
+      .update({ user_id: targetId, ...(keepPrimary ? { is_primary: false } : {}) })
+      .in('id', moving.map(w => w.id)));
+  }
+  check(await supabase.from('cl_linked_accounts').update({ user_id: targetId }).eq('user_id', sourceId));
+  // Hidden / spam flags are unioned; the source's own rows go with dbDeleteUser below
+  const { data: flags, error: flagsError } = await supabase
+    .from('cl_asset_flags').select('list, asset_id').eq('user_id', sourceId);
+  if (flagsError) throw flagsError;
+  if (flags.length) {
+    check(await supabase.from('cl_asset_flags').upsert(
+      flags.map(f => ({ user_id: targetId, list: f.list, asset_id: f.asset_id })),
+      { onConflict: 'user_id,list,asset_id', ignoreDuplicates: true }
+    ));
+  }
+  if ((!target.avatar_url && source.avatar_url) || (!target.email && source.email)) {
+    check(await supabase.from('cl_users').update({
+      avatar_url: target.avatar_url || source.avatar_url,
+      email: target.email || source.email
+    }).eq('id', targetId));
+  }
+
+  await dbDeleteUser(sourceId);
+  return dbGetUserById(targetId);
+};
+
+// Remove a user and every row that belongs to it. Sessions are revoked first so
+// access tokens already handed out stop working straight away.
+const dbDeleteUser = async (userId) => {
+  await dbRevokeSessions(userId);
+  for (const table of ['cl_wallets', 'cl_linked_accounts', 'cl_asset_flags', 'cl_sessions']) {
+    const { error } = await supabase.from(table).delete().eq('user_id', userId);
+    if (error) throw error;
+  }
+  const { error } = await supabase.from('cl_users').delete().eq('id', userId);
+  if (error) throw error;
+};
+
+// Hidden / spam asset IDs for a user, as { hidden: [...], spam: [...] }
+const ASSET_LISTS = ['hidden', 'spam'];
+const dbGetAssetFlags = async (userId) => {
+  const { data, error } = await supabase
+    .from('cl_asset_flags').select('list, asset_id').eq('user_id', userId)
+    .order('created_at', { ascending: true });
+  if (error) throw error;
+  const lists = Object.fromEntries(ASSET_LISTS.map(list => [list, []]));
+  for (const row of data) lists[row.list]?.push(row.asset_id);
+  return lists;
+};
+
+// Revoke some (sessionIds) or all of a user's live sessions; returns the revoked rows
+const dbRevokeSessions = async (userId, sessionIds = null) => {
+  if (!supabase) return [];
+  let query = supabase
+    .from('cl_sessions')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('user_id', userId).is('revoked_at', null);
+  if (sessionIds) query = query.in('id', sessionIds);
+  const { data, error } = await query.select('id');
+  if (error) throw error;
+  await Promise.all((data || []).map(s => cacheSet(`revoked:${s.id}`, true, ACCESS_TOKEN_TTL_SEC * 1000)));
+  return data || [];
+};
+
 const app = express();
 const PORT = process.env.PORT || 10000; 
 
@@ -148,7 +631,8 @@ const API_KEYS = {
   jupiter: process.env.JUPITER_API_KEY, 
   uniswap: process.env.UNISWAP_API_KEY,
   zerion: process.env.ZERION_KEY,
-  moralis: process.env.MORALIS_KEY
+  moralis: process.env.MORALIS_KEY,
+  etherscan: process.env.ETHERSCAN_KEY
 };
 
 // --- Price Discovery Helper ---
@@ -162,13 +646,12 @@ const NATIVE_CG_IDS = {
 };
 
 // Simple price cache — 90s TTL
-const _priceCache = {};
-const _cGet = (k) => (_priceCache[k] && Date.now() - _priceCache[k].ts < 90000) ? _priceCache[k].v : null;
-const _cSet = (k, v) => { _priceCache[k] = { v, ts: Date.now() }; return v; };
+const _cGet = (k) => cacheGet(`price:${k}`);
+const _cSet = (k, v) => cacheSet(`price:${k}`, v, 90000);
 
 // Single CoinGecko fetch with cache
 const fetchCoinGeckoPrice = async (cgId) => {
-  const hit = _cGet(cgId);
+  const hit = await _cGet(cgId);
   if (hit !== null) return hit;
   try {
     const r = await fetch(`https://api.coingecko.com/api/v3/simple/price?ids=${cgId}&vs_currencies=usd`);
@@ -195,7 +678,7 @@ const DS_CHAIN = {
 const fetchUSDPrice = async (chainId, address) => {
   if (!address || address === '0x0000000000000000000000000000000000000000') return 0;
   const key = `ds-${chainId}-${address}`;
-  const hit = _cGet(key);
+  const hit = await _cGet(key);
   if (hit !== null) return hit;
   try {
     const dsChain = DS_CHAIN[chainId] || chainId;
@@ -211,20 +694,220 @@ const toNativePrice = (usdValue, nativeUsdPrice) =>
   (nativeUsdPrice > 0 && usdValue > 0) ? (usdValue / nativeUsdPrice).toFixed(4) : '0.0000';
 
 // Image cache — 24hr TTL (logos rarely change)
-const _imageCache = {};
+const IMAGE_TTL = 24 * 60 * 60 * 1000;
 const fetchTokenImage = async (symbol) => {
   if (!symbol) return '';
   const key = symbol.toLowerCase();
-  if (_imageCache[key] !== undefined) return _imageCache[key];
+  const cached = await cacheGet(`img:${key}`);
+  if (cached !== null) return cached;
   try {
     const r = await fetch(`https://api.coingecko.com/api/v3/search?query=${encodeURIComponent(symbol)}`);
-    if (!r.ok) { _imageCache[key] = ''; return ''; }
+    if (!r.ok) return cacheSet(`img:${key}`, '', IMAGE_TTL);
     const d = await r.json();
     const hit = d.coins?.find(c => c.symbol?.toLowerCase() === key) || d.coins?.[0];
     const img = hit?.large || hit?.small || hit?.thumb || '';
-    _imageCache[key] = img;
-    return img;
-  } catch { _imageCache[key] = ''; return ''; }
+    return cacheSet(`img:${key}`, img, IMAGE_TTL);
+  } catch { return cacheSet(`img:${key}`, '', IMAGE_TTL); }
+};
+
+// --- Sign-In with Ethereum (EIP-4361) + contract wallet (EIP-1271 / EIP-6492) ---
+
+const SIWE_STATEMENT = 'Sign in to ChainLens';
+
+const buildSiweMessage = ({ address, chainId, nonce, issuedAt, expirationTime }) => [
+  `${SIWE_DOMAIN} wants you to sign in with your Ethereum account:`,
+  address,
+  '',
+  SIWE_STATEMENT,
+  '',
+  `URI: ${SIWE_URI}`,
+  'Version: 1',
+  `Chain ID: ${chainId}`,
+  `Nonce: ${nonce}`,
+  `Issued At: ${issuedAt}`,
+  `Expiration Time: ${expirationTime}`
+].join('\n');
+
+// Strict EIP-4361 parser — throws on anything that deviates from the ABNF layout
+const parseSiweMessage = (message) => {
+  if (typeof message !== 'string') throw new Error('SIWE message must be a string');
+  const lines = message.split('\n');
+  const header = lines[0].match(/^(?:([a-zA-Z][a-zA-Z0-9+.-]*):\/\/)?([^\s/?#]+) wants you to sign in with your Ethereum account:$/);
+  if (!header) throw new Error('Invalid SIWE header');
+  const address = lines[1];
+  if (!/^0x[0-9a-fA-F]{40}$/.test(address || '')) throw new Error('Invalid SIWE address');
+  if (lines[2] !== '') throw new Error('Malformed SIWE message');
+  let i = 3, statement = null;
+  if (lines[i] !== '' && !lines[i]?.startsWith('URI: ')) { statement = lines[i++]; }
+  if (lines[i] !== '') throw new Error('Malformed SIWE message');
+  i++;
+
+  const fields = {};
+  const FIELDS = [
+    ['URI', 'uri', true], ['Version', 'version', true], ['Chain ID', 'chainId', true],
+    ['Nonce', 'nonce', true], ['Issued At', 'issuedAt', true], ['Expiration Time', 'expirationTime', false],
+    ['Not Before', 'notBefore', false], ['Request ID', 'requestId', false]
+  ];
+  for (const [label, key, required] of FIELDS) {
+    if (lines[i]?.startsWith(`${label}: `)) fields[key] = lines[i++].slice(label.length + 2);
+    else if (required) throw new Error(`SIWE message missing ${label}`);
+  }
+  const resources = [];
+  if (lines[i] === 'Resources:') {
+    i++;
+    while (lines[i]?.startsWith('- ')) resources.push(lines[i++].slice(2));
+  }
+  if (i !== lines.length) throw new Error('Unexpected content in SIWE message');
+
+  if (fields.version !== '1') throw new Error('Unsupported SIWE version');
+  if (!/^[1-9]\d*$/.test(fields.chainId)) throw new Error('Invalid SIWE chain ID');
+  if (!/^[a-zA-Z0-9]{8,}$/.test(fields.nonce)) throw new Error('Invalid SIWE nonce');
+  try { new URL(fields.uri); } catch { throw new Error('Invalid SIWE URI'); }
+  for (const key of ['issuedAt', 'expirationTime', 'notBefore']) {
+    if (fields[key] !== undefined && isNaN(Date.parse(fields[key]))) throw new Error(`Invalid SIWE ${key}`);
+  }
+  return { scheme: header[1] || null, domain: header[2], address, statement, ...fields, chainId: Number(fields.chainId), resources };
+};
+
+// Checks a parsed SIWE message against what this server issued; returns an error string or null
+const validateSiweFields = (siwe, { address, nonce }) => {
+  const now = Date.now();
+  if (siwe.domain !== SIWE_DOMAIN) return 'SIWE domain mismatch';
+  if (new URL(siwe.uri).origin !== new URL(SIWE_URI).origin) return 'SIWE URI mismatch';
+  if (siwe.address.toLowerCase() !== address.toLowerCase()) return 'SIWE address mismatch';
+  if (ethersLib && ethersLib.getAddress(siwe.address) !== siwe.address) return 'SIWE address must be EIP-55 checksummed';
+  if (siwe.nonce !== nonce) return 'SIWE nonce mismatch';
+  if (Date.parse(siwe.issuedAt) > now + 60 * 1000) return 'SIWE message issued in the future';
+  if (siwe.expirationTime && Date.parse(siwe.expirationTime) < now) return 'SIWE message expired';
+  if (siwe.notBefore && Date.parse(siwe.notBefore) > now) return 'SIWE message not yet valid';
+  if (!evmRpcUrl(siwe.chainId)) return `Unsupported chain ID ${siwe.chainId}`;
+  return null;
+};
+
+// RPC endpoint for a numeric EVM chain ID — Alchemy chains from evmChains, Monad via its public RPC
+const MONAD_CHAIN_ID = 143;
+const evmRpcUrl = (chainId) => {
+  const chain = evmChains.find(c => c.chainId === Number(chainId));
+  if (chain) return `https://${chain.net}.g.alchemy.com/v2/${API_KEYS.alchemy}`;
+  return Number(chainId) === MONAD_CHAIN_ID ? 'https://rpc.monad.xyz' : null;
+};
+
+const evmRpcCall = async (chainId, method, params) => {
+  const url = evmRpcUrl(chainId);
+  if (!url) throw new Error(`Unsupported chain ID ${chainId}`);
+  const r = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params })
+  });
+  const d = await r.json();
+  if (d.error) throw new Error(d.error.message || 'RPC error');
+  return d.result;
+};
+
+const EIP1271_MAGIC = '0x1626ba7e';
+const EIP1271_MAGIC_WORD = EIP1271_MAGIC + '0'.repeat(56); // bytes4 return value, ABI-padded
+const EIP6492_SUFFIX = '6492649264926492649264926492649264926492649264926492649264926492';
+
+// Deployless EIP-6492 check: init code that calls factory(factoryCalldata) to deploy the
+// wallet, then STATICCALLs isValidSignature on it and returns the 32-byte result word.
+// Both calldata blobs are appended after the code and CODECOPY'd into memory. The call
+// must succeed with exactly 32 bytes of returndata, which is copied out explicitly;
+// anything else reverts, so memory still holding the calldata can never be returned.
+const buildEip6492InitCode = (factory, factoryCalldata, signer, validateCalldata) => {
+  const hex = (n, bytes) => n.toString(16).padStart(bytes * 2, '0');
+  const push2 = (n) => '61' + hex(n, 2);
+  const push20 = (addr) => '73' + addr.slice(2).toLowerCase();
+  const f = factoryCalldata.slice(2), v = validateCalldata.slice(2);
+  const fLen = f.length / 2, vLen = v.length / 2;
+  const build = (codeLen, ok) => [
+    // CODECOPY(0, codeLen, fLen); CALL(gas, factory, 0, 0, fLen, 0, 0); POP
+    push2(fLen), push2(codeLen), push2(0), '39',
+    push2(0), push2(0), push2(fLen), push2(0), push2(0), push20(factory), '5a', 'f1', '50',
+    // CODECOPY(0, codeLen + fLen, vLen); STATICCALL(gas, signer, 0, vLen, 0, 0)
+    push2(vLen), push2(codeLen + fLen), push2(0), '39',
+    push2(0), push2(0), push2(vLen), push2(0), push20(signer), '5a', 'fa',
+    // JUMPI(ok, success AND RETURNDATASIZE == 32); otherwise REVERT(0, 0)
+    '3d', push2(32), '14', '16', push2(ok), '57',
+    push2(0), push2(0), 'fd',
+    // ok: RETURNDATACOPY(0, 0, 32); RETURN(0, 32)
+    '5b', push2(32), push2(0), push2(0), '3e',
+    push2(32), push2(0), 'f3'
+  ];
+  // Every push is fixed-width, so one dry pass settles both the code length and the JUMPDEST offset
+  const dry = build(0, 0);
+  const code = build(dry.join('').length / 2, dry.slice(0, dry.indexOf('5b')).join('').length / 2).join('');
+  return '0x' + code + f + v;
+};
+
+// Verify an EVM personal_sign signature from an EOA, a deployed EIP-1271 contract
+// wallet, or a not-yet-deployed (counterfactual) EIP-6492 wallet
+const verifyEvmSignature = async ({ address, message, signature, chainId }) => {
+  const sig = signature.toLowerCase();
+  const isWrapped = sig.endsWith(EIP6492_SUFFIX);
+  if (!isWrapped) {
+    try { if (ethersVerify(message, signature).toLowerCase() === address.toLowerCase()) return true; }
+    catch (e) { /* not a valid ECDSA signature — may still be a contract wallet signature */ }
+  }
+
+  const coder = ethersLib.AbiCoder.defaultAbiCoder();
+  const hash = ethersLib.hashMessage(message);
+  let innerSig = signature, factory = null, factoryCalldata = null;
+  if (isWrapped) {
+    [factory, factoryCalldata, innerSig] = coder.decode(['address', 'bytes', 'bytes'], '0x' + sig.slice(2, -EIP6492_SUFFIX.length));
+  }
+  const validateCalldata = EIP1271_MAGIC + coder.encode(['bytes32', 'bytes'], [hash, innerSig]).slice(2);
+
+  const code = await evmRpcCall(chainId, 'eth_getCode', [address, 'latest']);
+  let result;
+  if (code && code !== '0x') {
+    result = await evmRpcCall(chainId, 'eth_call', [{ to: address, data: validateCalldata }, 'latest']);
+  } else if (isWrapped) {
+    result = await evmRpcCall(chainId, 'eth_call', [{ data: buildEip6492InitCode(factory, factoryCalldata, address, validateCalldata) }, 'latest']);
+  } else {
+    return false;
+  }
+  return typeof result === 'string' && result.toLowerCase() === EIP1271_MAGIC_WORD;
+};
+
+// Chains a wallet signature can be verified for; anything else is rejected outright
+const SIGNATURE_CHAINS = new Set(['evm', 'solana', 'cardano']);
+
+// Check a wallet signature over `message` for any supported chain.
+// Resolves to null when valid, otherwise { status, error } for the response.
+// Fails closed: an unknown chain or a missing verifier library is an error, never a pass.
+const checkWalletSignature = async ({ chain, address, message, signature, key, chainId = 1 }) => {
+  if (!SIGNATURE_CHAINS.has(chain)) return { status: 400, error: `Unsupported chain ${chain}` };
+
+  if (chain === 'evm') {
+    if (!ethersVerify) return { status: 503, error: 'EVM signature verification unavailable' };
+    try {
+      const valid = await verifyEvmSignature({ address, message, signature, chainId });
+      if (!valid) return { status: 400, error: 'EVM signature mismatch' };
+    } catch (e) { return { status: 400, error: 'Invalid EVM signature' }; }
+  }
+
+  if (chain === 'solana') {
+    if (!nacl) return { status: 503, error: 'Solana signature verification unavailable' };
+    try {
+      const msgBytes = Buffer.from(message);
+      const sigBytes = Buffer.from(signature, 'base64');
+      const pubBytes = base58Decode(address);
+      const valid = nacl.sign.detached.verify(msgBytes, sigBytes, pubBytes);
+      if (!valid) return { status: 400, error: 'Solana signature mismatch' };
+    } catch (e) { return { status: 400, error: 'Invalid Solana signature' }; }
+  }
+
+  // Cardano CIP-30 — signature is a CIP-8 COSE_Sign1, key is a COSE_Key (both CBOR hex)
+  if (chain === 'cardano') {
+    if (!signature || !key) return { status: 400, error: 'Cardano requires signature + key' };
+    if (!nacl) return { status: 503, error: 'Cardano signature verification unavailable' };
+    try {
+      const valid = verifyCip8Signature({ address, signature, key, message });
+      if (!valid) return { status: 400, error: 'Cardano signature mismatch' };
+    } catch (e) { return { status: 400, error: 'Invalid Cardano signature' }; }
+  }
+  return null;
 };
 
 // ══════════════════════════════════════════════════════════════════════════════
@@ -232,59 +915,63 @@ const fetchTokenImage = async (symbol) => {
 // ══════════════════════════════════════════════════════════════════════════════
 
 // ── Step 1: Generate a nonce for wallet signing (public, no auth) ─────────────
-app.post('/api/auth/nonce', (req, res) => {
-  const { address } = req.body;
+// EVM requests (chain: 'evm') also get the EIP-4361 message the wallet must sign
+app.post('/api/auth/nonce', async (req, res) => {
+  const { address, chain, chainId = 1 } = req.body;
   if (!address) return res.status(400).json({ error: 'address required' });
   const key = address.toLowerCase();
   const nonce = crypto.randomBytes(32).toString('hex');
-  _authNonces[key] = { nonce, expires: Date.now() + 5 * 60 * 1000 };
-  res.json({ nonce });
+  const expires = Date.now() + 5 * 60 * 1000;
+  let message;
+  if (chain === 'evm') {
+    if (!/^0x[0-9a-fA-F]{40}$/.test(address)) return res.status(400).json({ error: 'Invalid EVM address' });
+    if (!evmRpcUrl(chainId)) return res.status(400).json({ error: `Unsupported chain ID ${chainId}` });
+    message = buildSiweMessage({
+      address: ethersLib ? ethersLib.getAddress(address) : address,
+      chainId: Number(chainId), nonce,
+      issuedAt: new Date().toISOString(),
+      expirationTime: new Date(expires).toISOString()
+    });
+  }
+  try { await store.set(`nonce:${key}`, { nonce, expires }, expires - Date.now()); }
+  catch (e) { return res.status(503).json({ error: 'Auth store unavailable' }); }
+  res.json(message ? { nonce, message } : { nonce });
 });
 
 // ── Step 2a: Login / link via wallet signature ────────────────────────────────
 // If Authorization header present → links wallet to existing account
 // If no header → creates/finds account keyed by wallet address
 app.post('/api/auth/wallet-login', async (req, res) => {
-  const { chain, address, signature, key: cborKey, nonce } = req.body;
+  const { chain, address, signature, key: cborKey, nonce, message: siweMessage } = req.body;
   if (!chain || !address || !signature || !nonce)
     return res.status(400).json({ error: 'chain, address, signature, nonce required' });
+  if (!SIGNATURE_CHAINS.has(chain)) return res.status(400).json({ error: `Unsupported chain ${chain}` });
+  if (chain === 'evm' && !siweMessage)
+    return res.status(400).json({ error: 'EVM login requires the signed SIWE message' });
 
-  // Validate nonce
+  // Validate nonce — take() consumes it atomically, so a replay on another instance fails
   const addrKey = address.toLowerCase();
-  const stored = _authNonces[addrKey];
+  let stored;
+  try { stored = await store.take(`nonce:${addrKey}`); }
+  catch (e) { return res.status(503).json({ error: 'Auth store unavailable' }); }
   if (!stored || stored.nonce !== nonce || stored.expires < Date.now())
     return res.status(400).json({ error: 'Invalid or expired nonce' });
-  delete _authNonces[addrKey]; // consume
 
-  const message = `ChainLens login\nAddress: ${address}\nNonce: ${nonce}`;
+  const message = chain === 'evm' ? siweMessage : `ChainLens login\nAddress: ${address}\nNonce: ${nonce}`;
 
   // ── Verify signature ──────────────────────────────────────────────────────
+  // EVM: EIP-4361 message, ECDSA first, then EIP-1271 / EIP-6492 via the chain's RPC
+  let chainId;
   if (chain === 'evm' && ethersVerify) {
-    try {
-      const recovered = ethersVerify(message, signature);
-      if (recovered.toLowerCase() !== address.toLowerCase())
-        return res.status(400).json({ error: 'EVM signature mismatch' });
-    } catch (e) { return res.status(400).json({ error: 'Invalid EVM signature' }); }
-  }
-
-  if (chain === 'solana' && nacl) {
-    try {
-      const msgBytes = Buffer.from(message);
-      const sigBytes = Buffer.from(signature, 'base64');
-      const pubBytes = base58Decode(address);
-      const valid = nacl.sign.detached.verify(msgBytes, sigBytes, pubBytes);
-      if (!valid) return res.status(400).json({ error: 'Solana signature mismatch' });
-    } catch (e) { return res.status(400).json({ error: 'Invalid Solana signature' }); }
-  }
-
-  // Cardano CIP-30 — signature is CBOR; basic address ownership check for now
-  // Full CIP-8 verification: add @emurgo/cardano-serialization-lib-nodejs
-  if (chain === 'cardano') {
-    if (!signature || !cborKey)
-      return res.status(400).json({ error: 'Cardano requires signature + key' });
-    // TODO: decode CBOR and verify with CSL for production hardening
-    console.log(`ℹ️ Cardano wallet ${address.substring(0, 20)}... linked (signature accepted)`);
+    let siwe;
+    try { siwe = parseSiweMessage(siweMessage); }
+    catch (e) { return res.status(400).json({ error: e.message }); }
+    const siweError = validateSiweFields(siwe, { address, nonce });
+    if (siweError) return res.status(400).json({ error: siweError });
+    chainId = siwe.chainId;
   }
+  const sigFailure = await checkWalletSignature({ chain, address, message, signature, key: cborKey, chainId });
+  if (sigFailure) return res.status(sigFailure.status).json({ error: sigFailure.error });
 
   // ── Determine if this is a link (existing session) or new login ───────────
   const authHeader = req.headers.authorization?.replace('Bearer ', '');
@@ -292,29 +979,40 @@ app.post('/api/auth/wallet-login', async (req, res) => {
 
   if (authHeader) {
     try {
-      const claims = jwt.verify(authHeader, JWT_SECRET);
+      const claims = await verifyAccessToken(authHeader);
       userId = claims.sub;
     } catch (e) { /* token invalid — treat as new login */ }
   }
 
   if (supabase) {
     if (userId) {
-      // Link wallet to existing account
+      // Link wallet to existing account — unless another account already owns it
+      const ownerId = await dbFindWalletOwner(chain, address, userId);
+      if (ownerId) {
+        const merge_token = await createMergeToken(userId, ownerId);
+        return res.status(409).json({
+          error: 'This wallet is already linked to another ChainLens account', code: 'already_linked', merge_token
+        });
+      }
       await dbLinkWallet(userId, { chain, address });
       const profile = await dbGetUserById(userId);
       return res.json({ success: true, profile });
     } else {
-      // Create/find account by wallet address
-      const user = await dbUpsertUser({
-        provider: chain + '_wallet',
-        provider_id: address.toLowerCase(),
-        display_name: address.substring(0, 8) + '...' + address.slice(-4),
-        avatar_url: null, email: null
-      });
-      await dbLinkWallet(user.id, { chain, address });
-      const token = jwt.sign({ sub: user.id }, JWT_SECRET, { expiresIn: '30d' });
-      const profile = await dbGetUserById(user.id);
-      return res.json({ token, profile });
+      // Log in to the account that owns this wallet, or create one keyed by the address
+      let ownerId = await dbFindWalletOwner(chain, address);
+      if (!ownerId) {
+        const user = await dbUpsertUser({
+          provider: chain + '_wallet',
+          provider_id: address.toLowerCase(),
+          display_name: address.substring(0, 8) + '...' + address.slice(-4),
+          avatar_url: null, email: null
+        });
+        await dbLinkWallet(user.id, { chain, address });
+        ownerId = user.id;
+      }
+      const session = await issueSession(ownerId, req);
+      const profile = await dbGetUserById(ownerId);
+      return res.json({ ...session, profile });
     }
   } else {
     // Supabase not configured — return a mock token so frontend still works
@@ -333,229 +1031,627 @@ app.post('/api/auth/wallet-login', async (req, res) => {
   }
 });
 
-// ── Google OAuth ──────────────────────────────────────────────────────────────
-app.get('/auth/google', (req, res) => {
-  if (!process.env.GOOGLE_CLIENT_ID) return res.redirect(`${FRONTEND_URL}/?auth_error=google_not_configured`);
+// ── OAuth helpers: PKCE + one-time authorization codes ────────────────────────
+const AUTH_CODE_TTL_MS = 60 * 1000;
+
+// RFC 7636 verifier/challenge pair — the verifier stays server-side in the oauth: state entry
+const createPkcePair = () => {
+  const verifier = crypto.randomBytes(32).toString('base64url');
+  return { verifier, challenge: crypto.createHash('sha256').update(verifier).digest('base64url') };
+};
+
+// Finish an OAuth login without putting tokens in the URL: the browser gets a
+// single-use code and redeems it at POST /api/auth/exchange
+const redirectWithAuthCode = async (res, userId) => {
+  const code = crypto.randomBytes(32).toString('hex');
+  await store.set(`authcode:${code}`, { userId }, AUTH_CODE_TTL_MS);
+  res.redirect(`${FRONTEND_URL}/?auth_code=${code}`);
+};
+
+// ── OAuth / OIDC provider registry ────────────────────────────────────────────
+// A provider is plain config: endpoints, scope, and a `profile` map from our
+// social-account fields to paths in the userinfo payload (or a function, for
+// built-ins that need to compute a value). Credentials always come from
+// <NAME>_CLIENT_ID / <NAME>_CLIENT_SECRET / <NAME>_CALLBACK_URL.
+//
+// Extra providers are declared as JSON in OAUTH_PROVIDERS, e.g.
+//   {"gitlab":{"label":"GitLab","authorizeUrl":"https://gitlab.com/oauth/authorize",
+//              "tokenUrl":"https://gitlab.com/oauth/token","userinfoUrl":"https://gitlab.com/api/v4/user",
+//              "scope":"read_user","profile":{"provider_id":"id","display_name":"name","avatar_url":"avatar_url","email":"email"}},
+//    "apple":{"label":"Apple","issuer":"https://appleid.apple.com","scope":"openid email",
+//             "authorizeParams":{"response_mode":"form_post"}}}
+// An `issuer` entry is resolved through OIDC discovery; without a userinfo
+// endpoint the claims are read from the id_token.
+const BUILTIN_OAUTH_PROVIDERS = {
+  google: {
+    label: 'Google',
+    authorizeUrl: 'https://accounts.google.com/o/oauth2/v2/auth',
+    tokenUrl: 'https://oauth2.googleapis.com/token',
+    userinfoUrl: 'https://www.googleapis.com/oauth2/v2/userinfo',
+    scope: 'openid email profile',
+    profile: { provider_id: 'id', display_name: 'name', avatar_url: 'picture', email: 'email' }
+  },
+  discord: {
+    label: 'Discord',
+    authorizeUrl: 'https://discord.com/api/oauth2/authorize',
+    tokenUrl: 'https://discord.com/api/oauth2/token',
+    userinfoUrl: 'https://discord.com/api/users/@me',
+    scope: 'identify email',
+    profile: {
+      provider_id: 'id',
+      display_name: info => info.global_name || info.username,
+      avatar_url: info => info.avatar
+        ? `https://cdn.discordapp.com/avatars/${info.id}/${info.avatar}.png`
+        : `https://cdn.discordapp.com/embed/avatars/${parseInt(info.discriminator || 0) % 5}.png`,
+      email: 'email'
+    }
+  },
+  github: {
+    label: 'GitHub',
+    authorizeUrl: 'https://github.com/login/oauth/authorize',
+    tokenUrl: 'https://github.com/login/oauth/access_token',
+    userinfoUrl: 'https://api.github.com/user',
+    // /user only carries a public email — fall back to the primary verified address
+    emailsUrl: 'https://api.github.com/user/emails',
+    scope: 'read:user user:email',
+    profile: { provider_id: 'id', display_name: info => info.name || info.login, avatar_url: 'avatar_url', email: 'email' }
+  },
+  x: {
+    label: 'X',
+    authorizeUrl: 'https://x.com/i/oauth2/authorize',
+    tokenUrl: 'https://api.x.com/2/oauth2/token',
+    userinfoUrl: 'https://api.x.com/2/users/me?user.fields=profile_image_url',
+    scope: 'users.read tweet.read',
+    // X confidential clients authenticate to the token endpoint with HTTP Basic
+    tokenAuth: 'basic',
+    profile: { provider_id: 'data.id', display_name: info => info.data?.name || info.data?.username, avatar_url: 'data.profile_image_url' }
+  }
+};
+
+// Standard OIDC claims, used when a discovered provider declares no profile map
+const OIDC_PROFILE = { provider_id: 'sub', display_name: 'name', avatar_url: 'picture', email: 'email' };
+
+let customOAuthProviders = {};
+try { customOAuthProviders = JSON.parse(process.env.OAUTH_PROVIDERS || '{}'); }
+catch (e) { console.warn('⚠️  OAUTH_PROVIDERS is not valid JSON — custom login providers disabled'); }
+
+const OAUTH_PROVIDERS = { ...BUILTIN_OAUTH_PROVIDERS, ...customOAuthProviders };
+
+const oauthEnv = (name, key) => process.env[`${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_${key}`];
+const oauthConfigured = (name) => !!(OAUTH_PROVIDERS[name] && oauthEnv(name, 'CLIENT_ID'));
+const oauthCallbackUrl = (name) => oauthEnv(name, 'CALLBACK_URL') || `${FRONTEND_URL}/auth/${name}/callback`;
+
+// Fill in endpoints for issuer-only providers from /.well-known/openid-configuration
+const resolveOAuthProvider = async (name) => {
+  const provider = OAUTH_PROVIDERS[name];
+  if (!provider?.issuer) return provider;
+  const issuer = provider.issuer.replace(/\/$/, '');
+  let discovery = await cacheGet(`oidc:${issuer}`);
+  if (!discovery) {
+    const r = await fetch(`${issuer}/.well-known/openid-configuration`);
+    if (!r.ok) throw new Error(`OIDC discovery failed for ${issuer} (${r.status})`);
+    discovery = await cacheSet(`oidc:${issuer}`, await r.json(), 60 * 60 * 1000);
+  }
+  return {
+    scope: 'openid email profile',
+    profile: OIDC_PROFILE,
+    ...provider,
+    authorizeUrl: provider.authorizeUrl || discovery.authorization_endpoint,
+    tokenUrl: provider.tokenUrl || discovery.token_endpoint,
+    userinfoUrl: provider.userinfoUrl || discovery.userinfo_endpoint,
+    issuer: discovery.issuer || issuer
+  };
+};
+
+const readPath = (obj, path) => path.split('.').reduce((o, k) => (o == null ? undefined : o[k]), obj);
+
+// userinfo payload → { provider, provider_id, display_name, avatar_url, email }
+const mapOAuthProfile = (name, provider, info) => {
+  const field = (key) => {
+    const spec = provider.profile?.[key];
+    const value = typeof spec === 'function' ? spec(info) : spec ? readPath(info, spec) : undefined;
+    return value == null ? null : String(value);
+  };
+  return {
+    provider: name, provider_id: field('provider_id'),
+    display_name: field('display_name'), avatar_url: field('avatar_url'), email: field('email')
+  };
+};
+
+// Claims from an id_token received directly from the token endpoint over TLS
+// (OIDC Core 3.1.3.7 — the TLS channel stands in for the signature check)
+const readIdTokenClaims = (idToken, provider, clientId, nonce) => {
+  const claims = jwt.decode(idToken);
+  if (!claims) throw new Error('Malformed id_token');
+  const audience = [].concat(claims.aud);
+  if (claims.iss !== provider.issuer) throw new Error('id_token issuer mismatch');
+  if (!audience.includes(clientId)) throw new Error('id_token audience mismatch');
+  if (!claims.exp || claims.exp * 1000 < Date.now()) throw new Error('id_token expired');
+  if (nonce && claims.nonce !== nonce) throw new Error('id_token nonce mismatch');
+  return claims;
+};
+
+// Trade the authorization code for the provider's view of the user
+const fetchOAuthProfile = async (name, provider, code, stateData) => {
+  const clientId = oauthEnv(name, 'CLIENT_ID');
+  const clientSecret = oauthEnv(name, 'CLIENT_SECRET');
+  const form = {
+    code, grant_type: 'authorization_code',
+    redirect_uri: oauthCallbackUrl(name),
+    code_verifier: stateData.codeVerifier
+  };
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+  if (provider.tokenAuth === 'basic') {
+    headers.Authorization = `Basic ${Buffer.from(`${clientId}:${clientSecret}`).toString('base64')}`;
+  } else {
+    Object.assign(form, { client_id: clientId, client_secret: clientSecret });
+  }
+  const tokenRes = await fetch(provider.tokenUrl, { method: 'POST', headers, body: new URLSearchParams(form) });
+  const tokens = await tokenRes.json();
+  if (!tokens.access_token) throw new Error(`No access token from ${provider.label || name}`);
+
+  let info;
+  if (provider.userinfoUrl) {
+    const infoRes = await fetch(provider.userinfoUrl, {
+      headers: { Authorization: `Bearer ${tokens.access_token}`, Accept: 'application/json' }
+    });
+    info = await infoRes.json();
+  } else if (tokens.id_token && provider.issuer) {
+    info = readIdTokenClaims(tokens.id_token, provider, clientId, stateData.nonce);
+  } else {
+    throw new Error(`${provider.label || name} has no userinfo endpoint or id_token`);
+  }
+
+  const profile = mapOAuthProfile(name, provider, info);
+  if (!profile.provider_id) throw new Error(`No user id in ${provider.label || name} profile`);
+  if (!profile.email && provider.emailsUrl) {
+    const emailsRes = await fetch(provider.emailsUrl, {
+      headers: { Authorization: `Bearer ${tokens.access_token}`, Accept: 'application/json' }
+    });
+    const emails = emailsRes.ok ? await emailsRes.json() : [];
+    const primary = Array.isArray(emails) && emails.find(e => e.primary && e.verified);
+    if (primary) profile.email = primary.email;
+  }
+  return profile;
+};
+
+// Configured providers, for the login buttons
+app.get('/api/auth/providers', (req, res) => {
+  res.json({
+    providers: Object.keys(OAUTH_PROVIDERS)
+      .filter(oauthConfigured)
+      .map(id => ({ id, label: OAUTH_PROVIDERS[id].label || id }))
+  });
+});
+
+// ── OAuth: redirect to the provider ───────────────────────────────────────────
+app.get('/auth/:provider', async (req, res) => {
+  const name = req.params.provider;
+  if (!OAUTH_PROVIDERS[name]) return res.redirect(`${FRONTEND_URL}/?auth_error=unknown_provider`);
+  if (!oauthConfigured(name)) return res.redirect(`${FRONTEND_URL}/?auth_error=${name}_not_configured`);
+  let provider;
+  try { provider = await resolveOAuthProvider(name); }
+  catch (e) {
+    console.error(`${name} OIDC discovery error:`, e);
+    return res.redirect(`${FRONTEND_URL}/?auth_error=${name}_failed`);
+  }
+  // Re-auth carries an opaque single-use nonce from POST /api/auth/reauth/social, never the
+  // access token itself, so nothing usable ends up in browser history or request logs
+  let reauth = null;
+  if (req.query.reauth) {
+    try { reauth = await store.take(`reauth-social:${req.query.reauth}`); } catch (e) { /* treated as invalid */ }
+    if (!reauth) return res.redirect(`${FRONTEND_URL}/?auth_error=reauth_failed`);
+  }
   const state = crypto.randomBytes(16).toString('hex');
+  const nonce = provider.issuer ? crypto.randomBytes(16).toString('hex') : undefined;
+  const pkce = createPkcePair();
   // Store linkToken so callback knows whether this is a new login or linking to existing account
-  _oauthStates[state] = {
-    expires: Date.now() + 10 * 60 * 1000,
-    linkToken: req.query.link_token || null
-  };
+  try {
+    await store.set(`oauth:${state}`, {
+      expires: Date.now() + 10 * 60 * 1000,
+      linkToken: req.query.link_token || null,
+      reauth,
+      codeVerifier: pkce.verifier,
+      nonce
+    }, 10 * 60 * 1000);
+  } catch (e) { return res.redirect(`${FRONTEND_URL}/?auth_error=store_unavailable`); }
   const params = new URLSearchParams({
-    client_id: process.env.GOOGLE_CLIENT_ID,
-    redirect_uri: process.env.GOOGLE_CALLBACK_URL || `${FRONTEND_URL}/auth/google/callback`,
+    client_id: oauthEnv(name, 'CLIENT_ID'),
+    redirect_uri: oauthCallbackUrl(name),
     response_type: 'code',
-    scope: 'openid email profile',
-    state
+    scope: provider.scope,
+    state,
+    code_challenge: pkce.challenge,
+    code_challenge_method: 'S256',
+    ...(nonce ? { nonce } : {}),
+    ...provider.authorizeParams
   });
-  res.redirect(`https://accounts.google.com/o/oauth2/v2/auth?${params}`);
+  res.redirect(`${provider.authorizeUrl}?${params}`);
 });
 
-app.get('/auth/google/callback', async (req, res) => {
-  const { code, state, error } = req.query;
+// ── OAuth: provider redirects back here (query string, or form_post body) ─────
+const handleOAuthCallback = async (req, res) => {
+  const name = req.params.provider;
+  if (!OAUTH_PROVIDERS[name]) return res.redirect(`${FRONTEND_URL}/?auth_error=unknown_provider`);
+  const { code, state, error } = req.method === 'POST' ? req.body : req.query;
   if (error || !code) return res.redirect(`${FRONTEND_URL}/?auth_error=${error || 'cancelled'}`);
-  if (!_oauthStates[state]) return res.redirect(`${FRONTEND_URL}/?auth_error=invalid_state`);
-  // IMPORTANT: save state data BEFORE deleting it
-  const stateData = _oauthStates[state];
-  delete _oauthStates[state];
+  // take() reads and deletes the state in one step, so a callback can only be redeemed once
+  let stateData = null;
+  try { stateData = state ? await store.take(`oauth:${state}`) : null; } catch (e) { /* treated as invalid */ }
+  if (!stateData) return res.redirect(`${FRONTEND_URL}/?auth_error=invalid_state`);
   const linkToken = stateData.linkToken || null;
   try {
-    // Exchange code for tokens
-    const tokenRes = await fetch('https://oauth2.googleapis.com/token', {
-      method: 'POST', headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-      body: new URLSearchParams({
-        code, client_id: process.env.GOOGLE_CLIENT_ID,
-        client_secret: process.env.GOOGLE_CLIENT_SECRET,
-        redirect_uri: process.env.GOOGLE_CALLBACK_URL || `${FRONTEND_URL}/auth/google/callback`,
-        grant_type: 'authorization_code'
-      })
-    });
-    const tokens = await tokenRes.json();
-    if (!tokens.access_token) throw new Error('No access token from Google');
-
-    // Get user info
-    const infoRes = await fetch('https://www.googleapis.com/oauth2/v2/userinfo', {
-      headers: { Authorization: `Bearer ${tokens.access_token}` }
-    });
-    const info = await infoRes.json();
+    const provider = await resolveOAuthProvider(name);
+    const social = await fetchOAuthProfile(name, provider, code, stateData);
 
     let user;
+    if (supabase && stateData.reauth) {
+      // RE-AUTH MODE: signing in again with a social account already on the profile
+      try {
+        const { userId, sid } = stateData.reauth;
+        if (await cacheGet(`revoked:${sid}`)) throw new Error('Session revoked');
+        const owner = await dbFindUserBySocial(name, social.provider_id);
+        if (!owner || owner.id !== userId) throw new Error(`${name} account is not linked to this user`);
+        await store.set(`reauth:${sid}`, true, REAUTH_TTL_MS);
+        return res.redirect(`${FRONTEND_URL}/?reauthenticated=${name}`);
+      } catch (e) {
+        console.error(`${name} re-auth error:`, e);
+        return res.redirect(`${FRONTEND_URL}/?auth_error=reauth_failed`);
+      }
+    }
     if (supabase) {
       if (linkToken) {
-        // LINK MODE: attach Google to an already-logged-in account
+        // LINK MODE: attach this social account to an already-logged-in account
         try {
-          const claims = jwt.verify(linkToken, JWT_SECRET);
+          const claims = await verifyAccessToken(linkToken);
           user = await dbGetUserById(claims.sub);
           if (!user) throw new Error('User not found');
-          await dbLinkSocialAccount(user.id, {
-            provider: 'google', provider_id: info.id,
-            display_name: info.name, avatar_url: info.picture, email: info.email
-          });
-          // Update primary display info if not already set
-          if (!user.avatar_url || !user.email) {
+          const owner = await dbFindUserBySocial(name, social.provider_id);
+          if (owner && owner.id !== user.id) {
+            // A merge is confirmed by signing with a wallet on either account — without one
+            // the token could never be redeemed, so report the conflict without offering it
+            const { data: signers } = await supabase
+              .from('cl_wallets').select('user_id')
+              .in('user_id', [user.id, owner.id])
+              .in('chain', [...SIGNATURE_CHAINS]);
+            if (!signers?.length) {
+              return res.redirect(`${FRONTEND_URL}/?${new URLSearchParams({ auth_error: 'already_linked', provider: name, reason: 'no_signing_wallet' })}`);
+            }
+            const merge_token = await createMergeToken(user.id, owner.id);
+            return res.redirect(`${FRONTEND_URL}/?${new URLSearchParams({ auth_error: 'already_linked', provider: name, merge_token })}`);
+          }
+          await dbLinkSocialAccount(user.id, social);
+          // Fill in primary display info if not already set
+          if ((!user.avatar_url && social.avatar_url) || (!user.email && social.email)) {
             await supabase.from('cl_users').update({
-              avatar_url: user.avatar_url || info.picture,
-              email: user.email || info.email
+              avatar_url: user.avatar_url || social.avatar_url,
+              email: user.email || social.email
             }).eq('id', user.id);
           }
-          const jwtToken = jwt.sign({ sub: user.id }, JWT_SECRET, { expiresIn: '30d' });
-          return res.redirect(`${FRONTEND_URL}/?auth_token=${jwtToken}&linked=google`);
+          // The browser already holds a session for this user — just tell it to refresh the profile
+          return res.redirect(`${FRONTEND_URL}/?linked=${name}`);
         } catch (e) {
-          console.error('Google link error:', e);
+          console.error(`${name} link error:`, e);
           return res.redirect(`${FRONTEND_URL}/?auth_error=link_failed`);
         }
       } else {
         // LOGIN MODE: find existing account or create new one
-        const existing = await dbFindUserBySocial('google', info.id);
+        const existing = await dbFindUserBySocial(name, social.provider_id);
         if (existing) {
           user = existing;
-          // Refresh social record with latest info
-          await dbLinkSocialAccount(user.id, {
-            provider: 'google', provider_id: info.id,
-            display_name: info.name, avatar_url: info.picture, email: info.email
-          });
         } else {
-          user = await dbUpsertUser({
-            provider: 'google', provider_id: info.id,
-            display_name: info.name, avatar_url: info.picture, email: info.email
-          });
-          await dbLinkSocialAccount(user.id, {
-            provider: 'google', provider_id: info.id,
-            display_name: info.name, avatar_url: info.picture, email: info.email
-          });
+          user = await dbUpsertUser(social);
         }
+        // Refresh social record with latest info
+        await dbLinkSocialAccount(user.id, social);
       }
     } else {
-      user = { id: crypto.createHash('sha256').update('google:' + info.id).digest('hex').substring(0, 24), display_name: info.name, avatar_url: info.picture };
+      user = { id: crypto.createHash('sha256').update(`${name}:${social.provider_id}`).digest('hex').substring(0, 24) };
     }
 
-    const jwtToken = jwt.sign({ sub: user.id }, JWT_SECRET, { expiresIn: '30d' });
-    res.redirect(`${FRONTEND_URL}/?auth_token=${jwtToken}`);
+    await redirectWithAuthCode(res, user.id);
+  } catch (e) {
+    console.error(`${name} OAuth error:`, e);
+    res.redirect(`${FRONTEND_URL}/?auth_error=${name}_failed`);
+  }
+};
+app.get('/auth/:provider/callback', handleOAuthCallback);
+app.post('/auth/:provider/callback', express.urlencoded({ extended: false }), handleOAuthCallback);
+
+// ── Redeem the one-time code from an OAuth redirect for a session ─────────────
+app.post('/api/auth/exchange', async (req, res) => {
+  const { code } = req.body;
+  if (!code) return res.status(400).json({ error: 'code required' });
+  let grant;
+  try { grant = await store.take(`authcode:${code}`); }
+  catch (e) { return res.status(503).json({ error: 'Auth store unavailable' }); }
+  if (!grant) return res.status(400).json({ error: 'Invalid or expired code' });
+  try {
+    res.json(await issueSession(grant.userId, req));
   } catch (e) {
-    console.error('Google OAuth error:', e);
-    res.redirect(`${FRONTEND_URL}/?auth_error=google_failed`);
+    console.error('Code exchange error:', e);
+    res.status(500).json({ error: 'Failed to create session' });
   }
 });
 
-// ── Discord OAuth ─────────────────────────────────────────────────────────────
-app.get('/auth/discord', (req, res) => {
-  if (!process.env.DISCORD_CLIENT_ID) return res.redirect(`${FRONTEND_URL}/?auth_error=discord_not_configured`);
-  const state = crypto.randomBytes(16).toString('hex');
-  // Store linkToken so callback knows whether this is a new login or linking to existing account
-  _oauthStates[state] = {
-    expires: Date.now() + 10 * 60 * 1000,
-    linkToken: req.query.link_token || null
-  };
-  const params = new URLSearchParams({
-    client_id: process.env.DISCORD_CLIENT_ID,
-    redirect_uri: process.env.DISCORD_CALLBACK_URL || `${FRONTEND_URL}/auth/discord/callback`,
-    response_type: 'code',
-    scope: 'identify email',
-    state
-  });
-  res.redirect(`https://discord.com/api/oauth2/authorize?${params}`);
-});
+// ── Sessions: refresh, logout, list, revoke ───────────────────────────────────
+// "Chrome on macOS" style label from a User-Agent string
+const describeDevice = (ua = '') => {
+  const browser = /Edg\//.test(ua) ? 'Edge' : /OPR\//.test(ua) ? 'Opera' : /Firefox\//.test(ua) ? 'Firefox'
+    : /Chrome\//.test(ua) ? 'Chrome' : /Safari\//.test(ua) ? 'Safari' : null;
+  const os = /Windows/.test(ua) ? 'Windows' : /iPhone|iPad/.test(ua) ? 'iOS' : /Android/.test(ua) ? 'Android'
+    : /Mac OS X/.test(ua) ? 'macOS' : /Linux/.test(ua) ? 'Linux' : null;
+  return browser && os ? `${browser} on ${os}` : browser || os || 'Unknown device';
+};
 
-app.get('/auth/discord/callback', async (req, res) => {
-  const { code, state, error } = req.query;
-  if (error || !code) return res.redirect(`${FRONTEND_URL}/?auth_error=${error || 'cancelled'}`);
-  if (!_oauthStates[state]) return res.redirect(`${FRONTEND_URL}/?auth_error=invalid_state`);
-  // IMPORTANT: save state data BEFORE deleting it
-  const stateData = _oauthStates[state];
-  delete _oauthStates[state];
-  const linkToken = stateData.linkToken || null;
+// Exchange a refresh token for a new access token + rotated refresh token
+app.post('/api/auth/refresh', async (req, res) => {
+  if (!supabase) return res.status(503).json({ error: 'Supabase not configured' });
+  const [sid, secret] = String(req.body.refresh_token || '').split('.');
+  if (!sid || !secret) return res.status(400).json({ error: 'refresh_token required' });
   try {
-    const tokenRes = await fetch('https://discord.com/api/oauth2/token', {
-      method: 'POST', headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-      body: new URLSearchParams({
-        code, client_id: process.env.DISCORD_CLIENT_ID,
-        client_secret: process.env.DISCORD_CLIENT_SECRET,
-        redirect_uri: process.env.DISCORD_CALLBACK_URL || `${FRONTEND_URL}/auth/discord/callback`,
-        grant_type: 'authorization_code'
+    const { data: session } = await supabase.from('cl_sessions').select('*').eq('id', sid).maybeSingle();
+    if (!session || session.revoked_at || Date.parse(session.expires_at) < Date.now())
+      return res.status(401).json({ error: 'Session expired or revoked' });
+
+    // Compare-and-swap on the old hash: of two requests racing with the same token only one wins
+    const newSecret = crypto.randomBytes(32).toString('hex');
+    const { data: rotated } = await supabase
+      .from('cl_sessions')
+      .update({
+        refresh_hash: hashToken(newSecret), last_seen_at: new Date().toISOString(),
+        ip: clientIp(req), user_agent: (req.headers['user-agent'] || '').substring(0, 300)
       })
-    });
-    const tokens = await tokenRes.json();
-    if (!tokens.access_token) throw new Error('No access token from Discord');
-
-    const infoRes = await fetch('https://discord.com/api/users/@me', {
-      headers: { Authorization: `Bearer ${tokens.access_token}` }
-    });
-    const info = await infoRes.json();
-    const avatar = info.avatar
-      ? `https://cdn.discordapp.com/avatars/${info.id}/${info.avatar}.png`
-      : `https://cdn.discordapp.com/embed/avatars/${parseInt(info.discriminator || 0) % 5}.png`;
-    const discordName = info.global_name || info.username;
-
-    let user;
-    if (supabase) {
-      if (linkToken) {
-        // LINK MODE: attach Discord to an already-logged-in account
-        try {
-          const claims = jwt.verify(linkToken, JWT_SECRET);
-          user = await dbGetUserById(claims.sub);
-          if (!user) throw new Error('User not found');
-          await dbLinkSocialAccount(user.id, {
-            provider: 'discord', provider_id: info.id,
-            display_name: discordName, avatar_url: avatar, email: info.email
-          });
-          // Update primary avatar if not already set
-          if (!user.avatar_url) {
-            await supabase.from('cl_users').update({ avatar_url: avatar }).eq('id', user.id);
-          }
-          const jwtToken = jwt.sign({ sub: user.id }, JWT_SECRET, { expiresIn: '30d' });
-          return res.redirect(`${FRONTEND_URL}/?auth_token=${jwtToken}&linked=discord`);
-        } catch (e) {
-          console.error('Discord link error:', e);
-          return res.redirect(`${FRONTEND_URL}/?auth_error=link_failed`);
-        }
-      } else {
-        // LOGIN MODE: find existing account or create new one
-        const existing = await dbFindUserBySocial('discord', info.id);
-        if (existing) {
-          user = existing;
-          // Refresh social record with latest info
-          await dbLinkSocialAccount(user.id, {
-            provider: 'discord', provider_id: info.id,
-            display_name: discordName, avatar_url: avatar, email: info.email
-          });
-        } else {
-          user = await dbUpsertUser({
-            provider: 'discord', provider_id: info.id,
-            display_name: discordName, avatar_url: avatar, email: info.email
-          });
-          await dbLinkSocialAccount(user.id, {
-            provider: 'discord', provider_id: info.id,
-            display_name: discordName, avatar_url: avatar, email: info.email
-          });
-        }
-      }
-    } else {
-      user = { id: crypto.createHash('sha256').update('discord:' + info.id).digest('hex').substring(0, 24), display_name: discordName, avatar_url: avatar };
+      .eq('id', sid).eq('refresh_hash', hashToken(secret)).is('revoked_at', null)
+      .select().maybeSingle();
+    if (!rotated) {
+      // A refresh token that was already rotated away is being replayed — assume it leaked
+      await dbRevokeSessions(session.user_id, [sid]);
+      console.warn(`⚠️ Refresh token reuse on session ${sid} — session revoked`);
+      return res.status(401).json({ error: 'Session expired or revoked' });
     }
-
-    const jwtToken = jwt.sign({ sub: user.id }, JWT_SECRET, { expiresIn: '30d' });
-    res.redirect(`${FRONTEND_URL}/?auth_token=${jwtToken}`);
+    res.json({ token: signAccessToken(session.user_id, sid), refresh_token: `${sid}.${newSecret}` });
   } catch (e) {
-    console.error('Discord OAuth error:', e);
-    res.redirect(`${FRONTEND_URL}/?auth_error=discord_failed`);
+    console.error('Refresh error:', e);
+    res.status(500).json({ error: 'Failed to refresh session' });
   }
 });
 
-// ── Profile routes (require auth) ─────────────────────────────────────────────
-app.get('/api/profile', requireAuth, async (req, res) => {
-  if (!supabase) return res.status(503).json({ error: 'Supabase not configured' });
-  const profile = await dbGetUserById(req.user.sub);
-  if (!profile) return res.status(404).json({ error: 'User not found' });
-  res.json(profile);
+// Log out this device
+app.post('/api/auth/logout', requireAuth, async (req, res) => {
+  try {
+    if (req.user.sid) await dbRevokeSessions(req.user.sub, [req.user.sid]);
+    res.json({ success: true });
+  } catch (e) { res.status(500).json({ error: 'Failed to log out' }); }
 });
 
-app.patch('/api/profile', requireAuth, async (req, res) => {
+app.get('/api/sessions', requireAuth, async (req, res) => {
   if (!supabase) return res.status(503).json({ error: 'Supabase not configured' });
-  const { display_name } = req.body;
-  const { data } = await supabase
-    .from('cl_users').update({ display_name }).eq('id', req.user.sub).select().single();
-  res.json(data);
+  const { data, error } = await supabase
+    .from('cl_sessions')
+    .select('id, user_agent, ip, created_at, last_seen_at, expires_at')
+    .eq('user_id', req.user.sub).is('revoked_at', null)
+    .gt('expires_at', new Date().toISOString())
+    .order('last_seen_at', { ascending: false });
+  if (error) return res.status(500).json({ error: error.message });
+  res.json({
+    sessions: data.map(s => ({ ...s, device: describeDevice(s.user_agent), current: s.id === req.user.sid }))
+  });
+});
+
+app.delete('/api/sessions/:sessionId', requireAuth, async (req, res) => {
+  if (!supabase) return res.status(503).json({ error: 'Supabase not configured' });
+  try {
+    const revoked = await dbRevokeSessions(req.user.sub, [req.params.sessionId]);
+    if (!revoked.length) return res.status(404).json({ error: 'Session not found' });
+    res.json({ success: true });
+  } catch (e) { res.status(500).json({ error: 'Failed to revoke session' }); }
+});
+
+// Log out everywhere — revokes every session, including the caller's
+app.delete('/api/sessions', requireAuth, async (req, res) => {
+  if (!supabase) return res.status(503).json({ error: 'Supabase not configured' });
+  try {
+    const revoked = await dbRevokeSessions(req.user.sub);
+    res.json({ success: true, revoked: revoked.length });
+  } catch (e) { res.status(500).json({ error: 'Failed to revoke sessions' }); }
+});
+
+// ── Account merge ─────────────────────────────────────────────────────────────
+// Linking a wallet or social account that another user owns returns a merge
+// token instead. The token is only handed out after the caller proved control
+// of that wallet / social account, and is redeemed by signing a merge message
+// with a wallet from either account.
+const MERGE_TTL_MS = 10 * 60 * 1000;
+
+const createMergeToken = async (targetId, sourceId) => {
+  const token = crypto.randomBytes(24).toString('hex');
+  await store.set(`merge:${token}`, { targetId, sourceId }, MERGE_TTL_MS);
+  return token;
+};
+
+const buildMergeMessage = ({ sourceId, targetId, address, nonce }) =>
+  `ChainLens account merge\n` +
+  `Move all wallets and linked accounts from account ${sourceId} into account ${targetId}. ` +
+  `Account ${sourceId} will be deleted.\n` +
+  `Address: ${address}\nNonce: ${nonce}`;
+
+// Step 1: pick the confirming wallet, get the message to sign
+app.post('/api/profile/merge/challenge', requireAuth, async (req, res) => {
+  if (!supabase) return res.status(503).json({ error: 'Supabase not configured' });
+  const { merge_token, address, chainId = 1 } = req.body;
+  if (!merge_token || !address) return res.status(400).json({ error: 'merge_token, address required' });
+  let grant;
+  try { grant = await store.get(`merge:${merge_token}`); }
+  catch (e) { return res.status(503).json({ error: 'Auth store unavailable' }); }
+  if (!grant || grant.targetId !== req.user.sub) return res.status(400).json({ error: 'Invalid or expired merge token' });
+
+  // The chain comes from the linked wallet row, never from the request
+  const { data: owned } = await supabase
+    .from('cl_wallets').select('user_id, chain')
+    .in('address', walletAddressVariants(address))
+    .in('user_id', [grant.sourceId, grant.targetId]);
+  const chain = owned?.find(w => SIGNATURE_CHAINS.has(w.chain))?.chain;
+  if (!chain) return res.status(400).json({ error: 'Sign with a wallet linked to one of the two accounts' });
+
+  const source = await dbGetUserById(grant.sourceId);
+  if (!source) return res.status(404).json({ error: 'Account to merge no longer exists' });
+  const nonce = crypto.randomBytes(32).toString('hex');
+  try {
+    await store.set(`merge-nonce:${merge_token}`, { nonce, chain, address, chainId: Number(chainId) }, 5 * 60 * 1000);
+  } catch (e) { return res.status(503).json({ error: 'Auth store unavailable' }); }
+  res.json({
+    nonce,
+    message: buildMergeMessage({ sourceId: grant.sourceId, targetId: grant.targetId, address, nonce }),
+    source: {
+      id: source.id, display_name: source.display_name, avatar_url: source.avatar_url,
+      wallets: (source.cl_wallets || []).length, linked_accounts: (source.cl_linked_accounts || []).length
+    }
+  });
+});
+
+// Step 2: submit the signature — the other account is folded into the caller's
+app.post('/api/profile/merge', requireAuth, async (req, res) => {
+  if (!supabase) return res.status(503).json({ error: 'Supabase not configured' });
+  const { merge_token, signature, key, nonce } = req.body;
+  if (!merge_token || !signature || !nonce) return res.status(400).json({ error: 'merge_token, signature, nonce required' });
+  let challenge, grant;
+  try { challenge = await store.take(`merge-nonce:${merge_token}`); }
+  catch (e) { return res.status(503).json({ error: 'Auth store unavailable' }); }
+  if (!challenge || challenge.nonce !== nonce) return res.status(400).json({ error: 'Invalid or expired nonce' });
+  try { grant = await store.get(`merge:${merge_token}`); }
+  catch (e) { return res.status(503).json({ error: 'Auth store unavailable' }); }
+  if (!grant || grant.targetId !== req.user.sub) return res.status(400).json({ error: 'Invalid or expired merge token' });
+
+  const { chain, address, chainId } = challenge;
+  const message = buildMergeMessage({ sourceId: grant.sourceId, targetId: grant.targetId, address, nonce });
+  const sigFailure = await checkWalletSignature({ chain, address, message, signature, key, chainId });
+  if (sigFailure) return res.status(sigFailure.status).json({ error: sigFailure.error });
+
+  // Single use — a second request with the same token fails here
+  if (!(await store.take(`merge:${merge_token}`).catch(() => null)))
+    return res.status(400).json({ error: 'Invalid or expired merge token' });
+  try {
+    const profile = await dbMergeUsers(grant.sourceId, grant.targetId);
+    res.json({ success: true, profile });
+  } catch (e) {
+    console.error('Account merge error:', e);
+    res.status(500).json({ error: 'Failed to merge accounts' });
+  }
+});
+
+// ── Re-authentication for destructive actions ────────────────────────────────
+// A fresh wallet signature (below) or social sign-in (/auth/:provider?reauth=<nonce>)
+// marks the current session as re-authenticated for a few minutes.
+const REAUTH_TTL_MS = 5 * 60 * 1000;
+const REAUTH_SOCIAL_TTL_MS = 10 * 60 * 1000;
+
+// Social re-auth, step 1: a single-use nonce tied to this session for the OAuth redirect
+app.post('/api/auth/reauth/social', requireAuth, async (req, res) => {
+  if (!supabase) return res.status(503).json({ error: 'Supabase not configured' });
+  const reauth_nonce = crypto.randomBytes(24).toString('hex');
+  try {
+    await store.set(`reauth-social:${reauth_nonce}`, { userId: req.user.sub, sid: req.user.sid }, REAUTH_SOCIAL_TTL_MS);
+  } catch (e) { return res.status(503).json({ error: 'Auth store unavailable' }); }
+  res.json({ reauth_nonce });
+});
+
+const buildReauthMessage = ({ userId, address, nonce }) =>
+  `ChainLens re-authentication\n` +
+  `Confirm account ${userId} for a sensitive account change.\n` +
+  `Address: ${address}\nNonce: ${nonce}`;
+
+app.post('/api/auth/reauth/challenge', requireAuth, async (req, res) => {
+  if (!supabase) return res.status(503).json({ error: 'Supabase not configured' });
+  const { address, chainId = 1 } = req.body;
+  if (!address) return res.status(400).json({ error: 'address required' });
+  // The chain comes from the caller's own wallet row, never from the request
+  const { data: owned } = await supabase
+    .from('cl_wallets').select('chain')
+    .in('address', walletAddressVariants(address)).eq('user_id', req.user.sub);
+  const chain = owned?.find(w => SIGNATURE_CHAINS.has(w.chain))?.chain;
+  if (!chain) return res.status(400).json({ error: 'Sign with a wallet linked to this account' });
+  const nonce = crypto.randomBytes(32).toString('hex');
+  try {
+    await store.set(`reauth-nonce:${req.user.sid}`, { nonce, chain, address, chainId: Number(chainId) }, 5 * 60 * 1000);
+  } catch (e) { return res.status(503).json({ error: 'Auth store unavailable' }); }
+  res.json({ nonce, message: buildReauthMessage({ userId: req.user.sub, address, nonce }) });
+});
+
+app.post('/api/auth/reauth', requireAuth, async (req, res) => {
+  if (!supabase) return res.status(503).json({ error: 'Supabase not configured' });
+  const { signature, key, nonce } = req.body;
+  if (!signature || !nonce) return res.status(400).json({ error: 'signature, nonce required' });
+  let challenge;
+  try { challenge = await store.take(`reauth-nonce:${req.user.sid}`); }
+  catch (e) { return res.status(503).json({ error: 'Auth store unavailable' }); }
+  if (!challenge || challenge.nonce !== nonce) return res.status(400).json({ error: 'Invalid or expired nonce' });
+  const { chain, address, chainId } = challenge;
+  const message = buildReauthMessage({ userId: req.user.sub, address, nonce });
+  const sigFailure = await checkWalletSignature({ chain, address, message, signature, key, chainId });
+  if (sigFailure) return res.status(sigFailure.status).json({ error: sigFailure.error });
+  try { await store.set(`reauth:${req.user.sid}`, true, REAUTH_TTL_MS); }
+  catch (e) { return res.status(503).json({ error: 'Auth store unavailable' }); }
+  res.json({ success: true, expires_in: REAUTH_TTL_MS / 1000 });
+});
+
+// ── Profile routes (require auth) ─────────────────────────────────────────────
+app.get('/api/profile', requireAuth, async (req, res) => {
+  if (!supabase) return res.status(503).json({ error: 'Supabase not configured' });
+  const profile = await dbGetUserById(req.user.sub);
+  if (!profile) return res.status(404).json({ error: 'User not found' });
+  res.json(profile);
+});
+
+// Everything stored about the caller, as a downloadable JSON file
+app.get('/api/profile/export', requireAuth, async (req, res) => {
+  if (!supabase) return res.status(503).json({ error: 'Supabase not configured' });
+  const userId = req.user.sub;
+  const [user, wallets, linked, flags, sessions] = await Promise.all([
+    supabase.from('cl_users').select('*').eq('id', userId).maybeSingle(),
+    supabase.from('cl_wallets').select('*').eq('user_id', userId),
+    supabase.from('cl_linked_accounts').select('*').eq('user_id', userId),
+    supabase.from('cl_asset_flags').select('list, asset_id, created_at').eq('user_id', userId),
+    supabase.from('cl_sessions')
+      .select('id, user_agent, ip, created_at, last_seen_at, expires_at, revoked_at').eq('user_id', userId)
+  ]);
+  const failed = [user, wallets, linked, flags, sessions].find(r => r.error);
+  if (failed) return res.status(500).json({ error: failed.error.message });
+  if (!user.data) return res.status(404).json({ error: 'User not found' });
+  const exportedAt = new Date().toISOString();
+  res.setHeader('Content-Disposition', `attachment; filename="chainlens-export-${exportedAt.slice(0, 10)}.json"`);
+  res.json({
+    exported_at: exportedAt,
+    cl_users: user.data,
+    cl_wallets: wallets.data,
+    cl_linked_accounts: linked.data,
+    cl_asset_flags: flags.data,
+    cl_sessions: sessions.data
+  });
+});
+
+// Delete the account and all linked rows — needs a re-authentication from the last few minutes
+app.delete('/api/profile', requireAuth, async (req, res) => {
+  if (!supabase) return res.status(503).json({ error: 'Supabase not configured' });
+  let fresh;
+  try { fresh = await store.take(`reauth:${req.user.sid}`); }
+  catch (e) { return res.status(503).json({ error: 'Auth store unavailable' }); }
+  if (!fresh) return res.status(403).json({ error: 'Please confirm your identity again', code: 'reauth_required' });
+  try {
+    await dbDeleteUser(req.user.sub);
+    res.json({ success: true });
+  } catch (e) {
+    console.error('Account deletion error:', e);
+    res.status(500).json({ error: 'Failed to delete account' });
+  }
+});
+
+app.patch('/api/profile', requireAuth, async (req, res) => {
+  if (!supabase) return res.status(503).json({ error: 'Supabase not configured' });
+  const { display_name } = req.body;
+  const { data } = await supabase
+    .from('cl_users').update({ display_name }).eq('id', req.user.sub).select().single();
+  res.json(data);
 });
 
 app.post('/api/profile/wallet', requireAuth, async (req, res) => {
@@ -587,6 +1683,62 @@ app.delete('/api/profile/wallet/:walletId', requireAuth, async (req, res) => {
   res.json({ success: true });
 });
 
+// ── Hidden / spam asset lists ─────────────────────────────────────────────────
+// Asset IDs are the frontend's `${chain}-${address|id|mint}` keys, lowercased
+const readAssetIds = (req, res) => {
+  if (!ASSET_LISTS.includes(req.params.list)) { res.status(404).json({ error: 'Unknown list' }); return null; }
+  const { ids } = req.body;
+  if (!Array.isArray(ids) || ids.some(id => typeof id !== 'string' || !id || id.length > 300)) {
+    res.status(400).json({ error: 'ids must be an array of asset ID strings' }); return null;
+  }
+  if (ids.length > 1000) { res.status(400).json({ error: 'At most 1000 ids per request' }); return null; }
+  return [...new Set(ids.map(id => id.toLowerCase()))];
+};
+
+app.get('/api/profile/assets', requireAuth, async (req, res) => {
+  if (!supabase) return res.status(503).json({ error: 'Supabase not configured' });
+  try { res.json(await dbGetAssetFlags(req.user.sub)); }
+  catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// Add IDs to a list — already-present IDs are ignored, so local lists can be merged in as-is
+app.post('/api/profile/assets/:list', requireAuth, async (req, res) => {
+  if (!supabase) return res.status(503).json({ error: 'Supabase not configured' });
+  const ids = readAssetIds(req, res);
+  if (!ids) return;
+  try {
+    if (ids.length) {
+      const { error } = await supabase.from('cl_asset_flags').upsert(
+        ids.map(asset_id => ({ user_id: req.user.sub, list: req.params.list, asset_id })),
+        { onConflict: 'user_id,list,asset_id', ignoreDuplicates: true }
+      );
+      if (error) throw error;
+      await bumpAssetFlagsVersion(req.user.sub);
+    }
+    res.json(await dbGetAssetFlags(req.user.sub));
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// Remove IDs from a list, or empty it with { all: true }
+app.delete('/api/profile/assets/:list', requireAuth, async (req, res) => {
+  if (!supabase) return res.status(503).json({ error: 'Supabase not configured' });
+  let query = supabase.from('cl_asset_flags').delete().eq('user_id', req.user.sub);
+  if (req.body.all === true) {
+    if (!ASSET_LISTS.includes(req.params.list)) return res.status(404).json({ error: 'Unknown list' });
+    query = query.eq('list', req.params.list);
+  } else {
+    const ids = readAssetIds(req, res);
+    if (!ids) return;
+    query = query.eq('list', req.params.list).in('asset_id', ids);
+  }
+  try {
+    const { error } = await query;
+    if (error) throw error;
+    await bumpAssetFlagsVersion(req.user.sub);
+    res.json(await dbGetAssetFlags(req.user.sub));
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
 // ══════════════════════════════════════════════════════════════════════════════
 // END AUTH & PROFILE ROUTES
 // ══════════════════════════════════════════════════════════════════════════════
@@ -721,37 +1873,113 @@ app.post('/api/swap/evm/quote', async (req, res) => {
 
 // --- ASSET HELPERS ---
 
-const fetchAlchemyNFTs = async (network, address, chainId) => {
-  try {
-    const url = `https://${network}.g.alchemy.com/nft/v3/${API_KEYS.alchemy}/getNFTsForOwner?owner=${address}&withMetadata=true`;
-    console.log(`🔍 Fetching NFTs for ${chainId} from:`, url);
-    
-    const res = await fetch(url);
-    const data = await res.json();
-    
-    if (!res.ok) {
-      console.error(`❌ Alchemy NFT API error for ${chainId}:`, res.status, data);
-      return [];
+// Run fn over items with at most `limit` calls in flight; results keep input order
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
     }
-    
-    console.log(`✅ ${chainId}: Found ${data.ownedNfts?.length || 0} NFTs`);
-    
-    return (data.ownedNfts || []).map(nft => ({
-      id: `${chainId}-${nft.contract.address}-${nft.tokenId}`,
-      name: nft.name || nft.title || 'Unnamed NFT',
-      image: nft.image?.cachedUrl || nft.image?.thumbnailUrl || nft.image?.originalUrl || '',
-      collection: nft.contract.name || 'Collection',
-      chain: chainId,
-      isToken: false,
-      metadata: { 
-        traits: nft.raw?.metadata?.attributes || nft.raw?.metadata?.traits || [], 
-        description: nft.description || '' 
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+  return results;
+};
+
+const withTimeout = (promise, ms, label) => {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} timed out after ${ms / 1000}s`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Raw on-chain amount (hex or decimal string, number or BigInt) → BigInt; garbage reads as 0
+const toRawAmount = (raw) => {
+  try { return BigInt(raw ?? 0); } catch { return 0n; }
+};
+
+// Full-precision decimal string for a raw amount, e.g. (1500000n, 6) → '1.5'. No float anywhere
+const formatUnitsExact = (raw, decimals) => {
+  const value = toRawAmount(raw);
+  const places = Math.max(0, Number(decimals) || 0);
+  const digits = (value < 0n ? -value : value).toString().padStart(places + 1, '0');
+  const whole = digits.slice(0, digits.length - places);
+  const frac = places ? digits.slice(-places).replace(/0+$/, '') : '';
+  return `${value < 0n ? '-' : ''}${whole}${frac ? `.${frac}` : ''}`;
+};
+
+// Exact fields every scanner puts next to its rounded display `balance`: the raw integer
+// amount as a string, its decimals, and the full-precision balance exports should use
+const exactAmount = (raw, decimals) => {
+  const value = toRawAmount(raw);
+  const places = Math.max(0, Number(decimals) || 0);
+  return { rawBalance: value.toString(), decimals: places, balanceExact: formatUnitsExact(value, places) };
+};
+
+// Same key the frontend uses for hidden/spam lists and scan de-duplication
+const assetKey = (asset) => {
+  const rawId = asset.address || asset.id || asset.mint || asset.name;
+  return `${String(asset.chain).toLowerCase()}-${String(rawId).toLowerCase()}`;
+};
+
+const ALCHEMY_NFT_PAGE_SIZE = 100; // getNFTsForOwner maximum
+// Pages followed per request before handing back a cursor (default 20 → 2,000 NFTs)
+const ALCHEMY_NFT_MAX_PAGES = Number(process.env.ALCHEMY_NFT_MAX_PAGES) || 20;
+
+const mapAlchemyNFT = (nft, chainId) => ({
+  id: `${chainId}-${nft.contract.address}-${nft.tokenId}`,
+  name: nft.name || nft.title || 'Unnamed NFT',
+  image: nft.image?.cachedUrl || nft.image?.thumbnailUrl || nft.image?.originalUrl || '',
+  collection: nft.contract.name || 'Collection',
+  chain: chainId,
+  isToken: false,
+  metadata: { 
+    traits: nft.raw?.metadata?.attributes || nft.raw?.metadata?.traits || [], 
+    description: nft.description || '' 
+  }
+});
+
+// Follows getNFTsForOwner's pageKey from `cursor` for up to `maxPages` pages. nextCursor is
+// set when more remain — the page cap was hit, or a page failed and can be retried (if the
+// very first page fails, the incoming cursor is handed back so the client keeps its place).
+const fetchAlchemyNFTPages = async (network, address, chainId, { cursor = null, maxPages = ALCHEMY_NFT_MAX_PAGES } = {}) => {
+  const nfts = [];
+  let pageKey = cursor;
+  for (let page = 0; page < maxPages; page++) {
+    const params = new URLSearchParams({ owner: address, withMetadata: 'true', pageSize: String(ALCHEMY_NFT_PAGE_SIZE) });
+    if (pageKey) params.set('pageKey', pageKey);
+    const url = `https://${network}.g.alchemy.com/nft/v3/${API_KEYS.alchemy}/getNFTsForOwner?${params}`;
+    if (page === 0) console.log(`🔍 Fetching NFTs for ${chainId}${cursor ? ' (from cursor)' : ''}`);
+
+    try {
+      const res = await fetch(url);
+      const data = await res.json();
+      if (!res.ok) {
+        console.error(`❌ Alchemy NFT API error for ${chainId}:`, res.status, data);
+        return { nfts, nextCursor: nfts.length ? pageKey : cursor, error: `Alchemy returned ${res.status}` };
       }
-    }));
-  } catch (e) { 
-    console.error(`❌ Error fetching NFTs for ${chainId}:`, e.message);
-    return []; 
+      nfts.push(...(data.ownedNfts || []).map(nft => mapAlchemyNFT(nft, chainId)));
+      pageKey = data.pageKey || null;
+    } catch (e) {
+      console.error(`❌ Error fetching NFTs for ${chainId}:`, e.message);
+      return { nfts, nextCursor: nfts.length ? pageKey : cursor, error: e.message };
+    }
+    if (!pageKey) break;
+  }
+
+  console.log(`✅ ${chainId}: Found ${nfts.length} NFTs${pageKey ? ' (more available)' : ''}`);
+  return { nfts, nextCursor: pageKey };
+};
+
+// Whole collection up to the page cap, for the scanners that want a plain array
+const fetchAlchemyNFTs = async (network, address, chainId) => {
+  const { nfts, nextCursor } = await fetchAlchemyNFTPages(network, address, chainId);
+  if (nextCursor && nfts.length >= ALCHEMY_NFT_MAX_PAGES * ALCHEMY_NFT_PAGE_SIZE) {
+    console.warn(`⚠️ ${chainId}: NFT list truncated at ${nfts.length} (ALCHEMY_NFT_MAX_PAGES=${ALCHEMY_NFT_MAX_PAGES})`);
   }
+  return nfts;
 };
 
 const fetchAlchemyTokens = async (network, address, chainId) => {
@@ -790,13 +2018,15 @@ const fetchAlchemyTokens = async (network, address, chainId) => {
     const nativeUsdPrice = await fetchNativePrice(nativeSymbol);
 
     if (nativeRes.result) {
-      const balance = parseInt(nativeRes.result, 16) / 1e18;
-      if (balance > 0) {
+      const amount = exactAmount(nativeRes.result, 18);
+      const balance = Number(amount.balanceExact);
+      if (amount.rawBalance !== '0') {
         tokens.push({
           id: 'native',
           name: nativeName,
           symbol: nativeSymbol,
           balance: balance.toFixed(4),
+          ...amount,
           usdPrice: nativeUsdPrice,
           nativePrice: balance.toFixed(4),
           totalValue: (balance * nativeUsdPrice).toFixed(2),
@@ -808,7 +2038,7 @@ const fetchAlchemyTokens = async (network, address, chainId) => {
     }
 
     const balances = erc20Res.result?.tokenBalances || [];
-    const nonZero = balances.filter(t => parseInt(t.tokenBalance, 16) > 0).slice(0, 15);
+    const nonZero = balances.filter(t => toRawAmount(t.tokenBalance) > 0n).slice(0, 15);
 
     const erc20Results = await Promise.all(nonZero.map(async (token) => {
       try {
@@ -819,8 +2049,8 @@ const fetchAlchemyTokens = async (network, address, chainId) => {
         });
         const meta = await metaRes.json();
         const metadata = meta.result;
-        const balance = parseInt(token.tokenBalance, 16) / Math.pow(10, metadata.decimals || 18);
-        if (balance < 0.000001) return null;
+        const amount = exactAmount(token.tokenBalance, metadata.decimals ?? 18);
+        const balance = Number(amount.balanceExact);
 
         const usdPrice = await fetchUSDPrice(chainId, token.contractAddress);
         
@@ -832,6 +2062,7 @@ const fetchAlchemyTokens = async (network, address, chainId) => {
           name: metadata.name || 'Unknown',
           symbol: metadata.symbol || '???',
           balance: balance.toFixed(4),
+          ...amount,
           usdPrice: usdPrice,
           nativePrice: nativePrice.toFixed(4), // Price per token in native currency
           totalValue: (balance * usdPrice).toFixed(2),
@@ -869,27 +2100,29 @@ const fetchAlchemyTokens = async (network, address, chainId) => {
 // --- Routes ---
 // Alchemy-supported chains confirmed from their API documentation
 const evmChains = [
-  { id: 'ethereum', net: 'eth-mainnet' },
-  { id: 'base', net: 'base-mainnet' },
-  { id: 'polygon', net: 'polygon-mainnet' },
-  { id: 'avalanche', net: 'avax-mainnet' },
-  { id: 'optimism', net: 'opt-mainnet' },
-  { id: 'arbitrum', net: 'arb-mainnet' },
-  { id: 'blast', net: 'blast-mainnet' },
-  { id: 'zora', net: 'zora-mainnet' },
-  { id: 'abstract', net: 'abstract-mainnet' },
-  { id: 'apechain', net: 'apechain-mainnet' },
-  { id: 'soneium', net: 'soneium-mainnet' },
-  { id: 'ronin', net: 'ronin-mainnet' },
-  { id: 'worldchain', net: 'worldchain-mainnet' },
-  { id: 'gnosis', net: 'gnosis-mainnet' },
-  { id: 'hyperevm', net: 'hyperevm-mainnet' } // Hyperliquid EVM
+  { id: 'ethereum', net: 'eth-mainnet', chainId: 1 },
+  { id: 'base', net: 'base-mainnet', chainId: 8453 },
+  { id: 'polygon', net: 'polygon-mainnet', chainId: 137 },
+  { id: 'avalanche', net: 'avax-mainnet', chainId: 43114 },
+  { id: 'optimism', net: 'opt-mainnet', chainId: 10 },
+  { id: 'arbitrum', net: 'arb-mainnet', chainId: 42161 },
+  { id: 'blast', net: 'blast-mainnet', chainId: 81457 },
+  { id: 'zora', net: 'zora-mainnet', chainId: 7777777 },
+  { id: 'abstract', net: 'abstract-mainnet', chainId: 2741 },
+  { id: 'apechain', net: 'apechain-mainnet', chainId: 33139 },
+  { id: 'soneium', net: 'soneium-mainnet', chainId: 1868 },
+  { id: 'ronin', net: 'ronin-mainnet', chainId: 2020 },
+  { id: 'worldchain', net: 'worldchain-mainnet', chainId: 480 },
+  { id: 'gnosis', net: 'gnosis-mainnet', chainId: 100 },
+  { id: 'hyperevm', net: 'hyperevm-mainnet', chainId: 999 } // Hyperliquid EVM
 ];
 
 evmChains.forEach(chain => {
+  // ?cursor= resumes from a previous nextCursor; ?pages= lowers the page cap for this call
   app.get(`/api/nfts/${chain.id}/:address`, (req, res) => {
-    fetchAlchemyNFTs(chain.net, req.params.address, chain.id)
-      .then(n => res.json({ nfts: n }))
+    const maxPages = Math.max(1, Math.min(parseInt(req.query.pages, 10) || ALCHEMY_NFT_MAX_PAGES, ALCHEMY_NFT_MAX_PAGES));
+    fetchAlchemyNFTPages(chain.net, req.params.address, chain.id, { cursor: req.query.cursor || null, maxPages })
+      .then(({ nfts, nextCursor, error }) => res.json({ nfts, nextCursor, ...(error && { error }) }))
       .catch(err => {
         console.error(`❌ Route error for ${chain.id} NFTs:`, err.message);
         res.json({ nfts: [] });
@@ -906,15 +2139,49 @@ evmChains.forEach(chain => {
   });
 });
 
+// Route wrapper for the scan* functions below: they resolve to the asset array,
+// or reject with an Error (carrying .status for client errors such as an unknown handle)
+const scanRoute = (scan) => (req, res) => {
+  scan(req.params.mode, req.params.address)
+    .then(nfts => res.json({ nfts }))
+    .catch(err => res.status(err.status || 500).json({ error: err.message }));
+};
+
 // --- Monad (via Moralis API) ---
-app.get('/api/:mode(nfts|tokens)/monad/:address', async (req, res) => {
-  const { mode, address } = req.params;
+// Public Monad RPCs, tried in order
+const MONAD_RPCS = [
+  'https://rpc.monad.xyz',
+  'https://rpc1.monad.xyz',
+  'https://rpc2.monad.xyz',
+];
+
+// ABI-encoded string return value (or a bytes32 one, as older tokens use)
+const decodeAbiString = (hex) => {
+  if (!hex || hex === '0x') return '';
+  try {
+    const clean = hex.slice(2);
+    // Try as UTF-8 string with ABI encoding (offset + length + data)
+    if (clean.length >= 128) {
+      const len = parseInt(clean.slice(64, 128), 16);
+      if (len > 0 && len < 100) {
+        const str = clean.slice(128, 128 + len * 2);
+        return Buffer.from(str, 'hex').toString('utf8').replace(/ /g, '').trim();
+      }
+    }
+    // Fallback: try as bytes32 fixed string
+    return Buffer.from(clean.replace(/^0+/, '').padStart(64, '0').slice(0, 64), 'hex')
+      .toString('utf8').replace(/ /g, '').trim();
+  } catch { return ''; }
+};
+
+// Resolves to the asset array for /api/:mode/monad/:address
+const scanMonad = async (mode, address) => {
   try {
     console.log(`📡 Fetching Monad ${mode} for ${address} via Moralis...`);
 
     if (!API_KEYS.moralis) {
       console.error('❌ MORALIS_KEY is missing from .env!');
-      return res.json({ nfts: [] });
+      return [];
     }
 
     const moralisHeaders = {
@@ -941,7 +2208,7 @@ app.get('/api/:mode(nfts|tokens)/monad/:address', async (req, res) => {
       // Previous code used AND (&&) — if only one failed we'd silently get NaN balances.
       // Now bail if either fails.
       if (!nativeRes.ok || !erc20Res.ok) {
-        return res.json({ nfts: [] });
+        return [];
       }
 
       const tokens = [];
@@ -955,22 +2222,22 @@ app.get('/api/:mode(nfts|tokens)/monad/:address', async (req, res) => {
 
       // Native MON balance
       const rawBalance = nativeData.balance;
-      if (rawBalance && rawBalance !== '0') {
-        const balance = parseInt(rawBalance, 10) / 1e18;
-        if (balance > 0) {
-          tokens.push({
-            id: 'native-mon',
-            name: 'Monad',
-            symbol: 'MON',
-            balance: balance.toFixed(4),
-            usdPrice: monUsdPrice,
-            nativePrice: '1.0000', // MON in MON = 1
-            totalValue: (balance * monUsdPrice).toFixed(2),
-            image: 'https://assets.coingecko.com/coins/images/54540/small/monad.png',
-            chain: 'monad',
-            isToken: true
-          });
-        }
+      if (toRawAmount(rawBalance) > 0n) {
+        const amount = exactAmount(rawBalance, 18);
+        const balance = Number(amount.balanceExact);
+        tokens.push({
+          id: 'native-mon',
+          name: 'Monad',
+          symbol: 'MON',
+          balance: balance.toFixed(4),
+          ...amount,
+          usdPrice: monUsdPrice,
+          nativePrice: '1.0000', // MON in MON = 1
+          totalValue: (balance * monUsdPrice).toFixed(2),
+          image: 'https://assets.coingecko.com/coins/images/54540/small/monad.png',
+          chain: 'monad',
+          isToken: true
+        });
       }
 
       // ERC20 tokens — Moralis first, then RPC fallback for unindexed tokens
@@ -982,11 +2249,10 @@ app.get('/api/:mode(nfts|tokens)/monad/:address', async (req, res) => {
 
       // Process whatever Moralis did return
       const moralisTokens = await Promise.all(moralisResult.map(async (t) => {
-        const decimals = parseInt(t.decimals) ?? 18;
-        const balance = t.balance_formatted
-          ? parseFloat(t.balance_formatted)
-          : parseInt(t.balance || '0', 10) / Math.pow(10, decimals);
-        if (!balance || balance < 0.000001) return null;
+        if (toRawAmount(t.balance) === 0n) return null;
+        const decimals = Number.isFinite(parseInt(t.decimals)) ? parseInt(t.decimals) : 18;
+        const amount = exactAmount(t.balance, decimals);
+        const balance = Number(amount.balanceExact);
         const usdPrice = await fetchUSDPrice('monad', t.token_address);
         const nativePrice = monUsdPrice > 0 ? (usdPrice / monUsdPrice) : 0; // Fixed: price per token in MON
         
@@ -995,6 +2261,7 @@ app.get('/api/:mode(nfts|tokens)/monad/:address', async (req, res) => {
           name: t.name || 'Unknown Token',
           symbol: t.symbol || '???',
           balance: balance.toFixed(4),
+          ...amount,
           usdPrice,
           nativePrice: nativePrice.toFixed(4), // Price per token in MON
           totalValue: (balance * usdPrice).toFixed(2),
@@ -1024,30 +2291,6 @@ app.get('/api/:mode(nfts|tokens)/monad/:address', async (req, res) => {
         '0x6131b5fae19ea4f9d964eac0408e4408b66337b5', // sMON (Kintsu)
       ];
 
-      const MONAD_RPCS = [
-        'https://rpc.monad.xyz',
-        'https://rpc1.monad.xyz',
-        'https://rpc2.monad.xyz',
-      ];
-
-      const decodeString = (hex) => {
-        if (!hex || hex === '0x') return '';
-        try {
-          const clean = hex.slice(2);
-          // Try as UTF-8 string with ABI encoding (offset + length + data)
-          if (clean.length >= 128) {
-            const len = parseInt(clean.slice(64, 128), 16);
-            if (len > 0 && len < 100) {
-              const str = clean.slice(128, 128 + len * 2);
-              return Buffer.from(str, 'hex').toString('utf8').replace(/ /g, '').trim();
-            }
-          }
-          // Fallback: try as bytes32 fixed string
-          return Buffer.from(clean.replace(/^0+/, '').padStart(64, '0').slice(0, 64), 'hex')
-            .toString('utf8').replace(/ /g, '').trim();
-        } catch { return ''; }
-      };
-
       const rpcCall = async (method, params) => {
         for (const rpc of MONAD_RPCS) {
           try {
@@ -1083,11 +2326,10 @@ app.get('/api/:mode(nfts|tokens)/monad/:address', async (req, res) => {
             if (rawBal === 0n) return null;
 
             const decimals = decResult && decResult !== '0x' ? parseInt(decResult, 16) : 18;
-            const symbol = decodeString(symResult) || 'UNKNOWN';
-            const name = decodeString(nameResult) || symbol;
-            const balance = Number(rawBal) / Math.pow(10, decimals);
-
-            if (balance < 0.000001) return null;
+            const symbol = decodeAbiString(symResult) || 'UNKNOWN';
+            const name = decodeAbiString(nameResult) || symbol;
+            const amount = exactAmount(rawBal, decimals);
+            const balance = Number(amount.balanceExact);
             console.log(`  ✅ RPC found: ${symbol} (${name}) = ${balance}`);
 
             const usdPrice = await fetchUSDPrice('monad', contractAddr);
@@ -1098,6 +2340,7 @@ app.get('/api/:mode(nfts|tokens)/monad/:address', async (req, res) => {
               name,
               symbol,
               balance: balance.toFixed(4),
+              ...amount,
               usdPrice,
               nativePrice: nativePrice.toFixed(4), // Price per token in MON
               totalValue: (balance * usdPrice).toFixed(2),
@@ -1149,17 +2392,17 @@ app.get('/api/:mode(nfts|tokens)/monad/:address', async (req, res) => {
                 const rawBal = BigInt(balResult);
                 if (rawBal === 0n) return null;
                 const decimals = decResult && decResult !== '0x' ? parseInt(decResult, 16) : 18;
-                const symbol = decodeString(symResult) || 'UNKNOWN';
-                const name = decodeString(nameResult) || symbol;
-                const balance = Number(rawBal) / Math.pow(10, decimals);
-                if (balance < 0.000001) return null;
+                const symbol = decodeAbiString(symResult) || 'UNKNOWN';
+                const name = decodeAbiString(nameResult) || symbol;
+                const amount = exactAmount(rawBal, decimals);
+                const balance = Number(amount.balanceExact);
                 console.log(`  ✅ Log scan found: ${symbol} = ${balance}`);
                 const usdPrice = await fetchUSDPrice('monad', contractAddr);
                 const nativePrice = monUsdPrice > 0 ? (usdPrice / monUsdPrice) : 0; // Fixed: price per token in MON
                 
                 return {
                   id: contractAddr, name, symbol,
-                  balance: balance.toFixed(4), usdPrice,
+                  balance: balance.toFixed(4), ...amount, usdPrice,
                   totalValue: (balance * usdPrice).toFixed(2),
                   nativePrice: nativePrice.toFixed(4), // Price per token in MON
                   image: `https://via.placeholder.com/50/836EF9/ffffff?text=${encodeURIComponent(symbol)}`,
@@ -1175,7 +2418,7 @@ app.get('/api/:mode(nfts|tokens)/monad/:address', async (req, res) => {
       }
 
       console.log(`✅ Monad: Found ${tokens.length} tokens via Moralis`);
-      res.json({ nfts: tokens });
+      return tokens;
 
     } else {
       // Fetch NFTs
@@ -1187,7 +2430,7 @@ app.get('/api/:mode(nfts|tokens)/monad/:address', async (req, res) => {
       if (!response.ok) {
         const errBody = await response.text();
         console.error(`❌ Moralis NFT error ${response.status}:`, errBody);
-        return res.json({ nfts: [] });
+        return [];
       }
 
       const data = await response.json();
@@ -1222,65 +2465,181 @@ app.get('/api/:mode(nfts|tokens)/monad/:address', async (req, res) => {
       });
 
       console.log(`✅ Monad: Found ${nfts.length} NFTs via Moralis`);
-      res.json({ nfts });
+      return nfts;
     }
   } catch (err) {
     console.error('❌ Monad Moralis error:', err);
-    res.status(500).json({ error: err.message });
+    throw err;
   }
-});
+};
+
+app.get('/api/:mode(nfts|tokens)/monad/:address', scanRoute(scanMonad));
 
 // --- Solana ---
-app.get('/api/:mode(nfts|tokens)/solana/:address', async (req, res) => {
-  const { mode, address } = req.params;
+const SPL_TOKEN_PROGRAM = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+const TOKEN_2022_PROGRAM = 'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb';
+const HELIUS_DAS_PAGE_LIMIT = 1000;
+// getAssetsByOwner pages walked per scan before giving up (1,000 assets each)
+const HELIUS_DAS_MAX_PAGES = Number(process.env.HELIUS_DAS_MAX_PAGES) || 20;
+const SECONDS_PER_YEAR = 60 * 60 * 24 * 365.24; // the year spl-token-2022 accrues interest over
+
+const heliusRpc = async (method, params) => {
+  const res = await fetch(`https://mainnet.helius-rpc.com/?api-key=${API_KEYS.helius}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-cache' },
+    body: JSON.stringify({ jsonrpc: '2.0', id: `${method}-${Date.now()}`, method, params })
+  });
+  const data = await res.json();
+  if (data.error) throw new Error(`${method}: ${data.error.message || JSON.stringify(data.error)}`);
+  return data.result;
+};
+
+// Mint metadata from DAS getAsset, cached in the store; misses and failures aren't cached
+const SOL_MINT_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const SOL_NFT_INTERFACES = new Set(['V1_NFT', 'V2_NFT', 'LEGACY_NFT', 'ProgrammableNFT', 'MplCoreAsset']);
+const fetchSolanaMintInfo = async (mint) => {
+  const cached = await cacheGet(`sol-mint:${mint}`);
+  if (cached) return cached;
+  const asset = await heliusRpc('getAsset', { id: mint });
+  if (!asset) return null;
+  return cacheSet(`sol-mint:${mint}`, {
+    symbol: asset.content?.metadata?.symbol || asset.token_info?.symbol || null,
+    name: asset.content?.metadata?.name || null,
+    decimals: asset.token_info?.decimals ?? null,
+    image: asset.content?.links?.image || asset.content?.files?.[0]?.cdn_uri || null,
+    isNft: SOL_NFT_INTERFACES.has(asset.interface),
+    collection: asset.grouping?.find(g => g.group_key === 'collection')?.group_value || null
+  }, SOL_MINT_TTL_MS);
+};
+
+// Walks getAssetsByOwner until a short page (or the page cap). A failure after page 1
+// keeps what was collected; the native balance only comes back on page 1.
+const fetchHeliusAssets = async (address, mode) => {
+  const items = [];
+  let nativeBalance = null;
+  for (let page = 1; page <= HELIUS_DAS_MAX_PAGES; page++) {
+    let result;
+    try {
+      result = await heliusRpc('getAssetsByOwner', {
+        ownerAddress: address,
+        page,
+        limit: HELIUS_DAS_PAGE_LIMIT,
+        displayOptions: { showFungible: mode === 'tokens', showNativeBalance: mode === 'tokens' && page === 1 }
+      });
+    } catch (e) {
+      if (page === 1) throw e;
+      console.error(`  ⚠️ Helius DAS page ${page} failed, keeping ${items.length} items:`, e.message);
+      break;
+    }
+    if (page === 1) nativeBalance = result?.nativeBalance || null;
+    const pageItems = result?.items || [];
+    items.push(...pageItems);
+    if (pageItems.length < HELIUS_DAS_PAGE_LIMIT) break;
+    if (page === HELIUS_DAS_MAX_PAGES) console.warn(`  ⚠️ Helius DAS: stopped at ${items.length} items (HELIUS_DAS_MAX_PAGES=${HELIUS_DAS_MAX_PAGES})`);
+  }
+  return { items, nativeBalance };
+};
+
+// Parsed Token-2022 mint extensions, keyed by extension name, for each mint
+const fetchToken2022Extensions = async (mints) => {
+  const byMint = new Map();
+  for (let i = 0; i < mints.length; i += 100) {
+    const batch = mints.slice(i, i + 100);
+    const result = await heliusRpc('getMultipleAccounts', [batch, { encoding: 'jsonParsed' }]);
+    (result?.value || []).forEach((account, j) => {
+      const extensions = account?.data?.parsed?.info?.extensions || [];
+      byMint.set(batch[j], Object.fromEntries(extensions.map(e => [e.extension, e.state || {}])));
+    });
+  }
+  return byMint;
+};
+
+// Interest-bearing mints display raw × e^(rate·t), with the rate in basis points per year,
+// compounded over the period before and after the last rate update
+const interestBearingScale = (config, now = Date.now() / 1000) => {
+  const pre = Math.exp((config.preUpdateAverageRate * (config.lastUpdateTimestamp - config.initializationTimestamp)) / SECONDS_PER_YEAR / 10000);
+  const post = Math.exp((config.currentRate * (now - config.lastUpdateTimestamp)) / SECONDS_PER_YEAR / 10000);
+  return pre * post;
+};
+
+// ── Native staking: stake accounts the address controls as staker or withdrawer ──
+const STAKE_PROGRAM = 'Stake11111111111111111111111111111111111111';
+const STAKE_NOT_DEACTIVATED = '18446744073709551615'; // u64::MAX
+const SOL_STAKING_CACHE_TTL_MS = 5 * 60 * 1000;
+
+// State from the delegation epochs. Warmup/cooldown can stretch over several epochs for very
+// large stakes; this reports the phase, not the partially-effective amount.
+const stakeActivationState = (parsed, epoch) => {
+  const delegation = parsed?.info?.stake?.delegation;
+  if (parsed?.type !== 'delegated' || !delegation) return 'inactive';
+  const activation = Number(delegation.activationEpoch);
+  if (String(delegation.deactivationEpoch) === STAKE_NOT_DEACTIVATED) return activation >= epoch ? 'activating' : 'active';
+  return Number(delegation.deactivationEpoch) >= epoch ? 'deactivating' : 'inactive';
+};
+
+const fetchSolanaStakeAccounts = async (address) => {
+  // Authorized staker sits at byte 12 of the stake account data, withdrawer at byte 44
+  const [asStaker, asWithdrawer, epochInfo] = await Promise.all([
+    heliusRpc('getProgramAccounts', [STAKE_PROGRAM, { encoding: 'jsonParsed', filters: [{ memcmp: { offset: 12, bytes: address } }] }]),
+    heliusRpc('getProgramAccounts', [STAKE_PROGRAM, { encoding: 'jsonParsed', filters: [{ memcmp: { offset: 44, bytes: address } }] }]),
+    heliusRpc('getEpochInfo', [])
+  ]);
+  const epoch = epochInfo?.epoch;
+  const byPubkey = new Map();
+  for (const { pubkey, account } of [...(asStaker || []), ...(asWithdrawer || [])]) {
+    if (byPubkey.has(pubkey)) continue;
+    const parsed = account?.data?.parsed;
+    const authorized = parsed?.info?.meta?.authorized || {};
+    const delegation = parsed?.info?.stake?.delegation;
+    byPubkey.set(pubkey, {
+      pubkey,
+      lamports: account.lamports,
+      balance: account.lamports / 1e9,
+      delegatedStake: delegation ? Number(delegation.stake) / 1e9 : 0,
+      state: stakeActivationState(parsed, epoch),
+      voteAccount: delegation?.voter || null,
+      activationEpoch: delegation ? Number(delegation.activationEpoch) : null,
+      deactivationEpoch: delegation && String(delegation.deactivationEpoch) !== STAKE_NOT_DEACTIVATED ? Number(delegation.deactivationEpoch) : null,
+      roles: ['staker', 'withdrawer'].filter(role => authorized[role] === address)
+    });
+  }
+  return { epoch, accounts: [...byPubkey.values()] };
+};
+
+// Resolves to the asset array for /api/:mode/solana/:address
+const scanSolana = async (mode, address) => {
   try {
     const solPrice = await fetchUSDPrice('solana', 'So11111111111111111111111111111111111111112');
     
-    // Add timestamp for cache-busting
-    const timestamp = Date.now();
-    const heliusUrl = `https://mainnet.helius-rpc.com/?api-key=${API_KEYS.helius}`;
-    
-    // Method 1: Helius Enhanced API (might be cached/delayed for new tokens)
-    const heliusResponse = await fetch(heliusUrl, {
-      method: 'POST',
-      headers: { 
-        'Content-Type': 'application/json',
-        'Cache-Control': 'no-cache'
-      },
-      body: JSON.stringify({
-        jsonrpc: '2.0', 
-        id: `sol-scan-${timestamp}`, 
-        method: 'getAssetsByOwner',
-        params: { 
-          ownerAddress: address, 
-          page: 1, 
-          limit: 1000, // Increased to catch all tokens
-          displayOptions: {
-            showFungible: mode === 'tokens',
-            showNativeBalance: mode === 'tokens'
-          }
-        }
-      })
-    });
-    
-    const heliusData = await heliusResponse.json();
-    const items = heliusData.result?.items || [];
-    const nativeBalance = heliusData.result?.nativeBalance || null;
+    // Method 1: Helius Enhanced API (might be cached/delayed for new tokens). For tokens a
+    // DAS outage is survivable — the direct RPC pass below still finds every account.
+    let items = [];
+    let nativeBalance = null;
+    try {
+      ({ items, nativeBalance } = await fetchHeliusAssets(address, mode));
+    } catch (e) {
+      if (mode !== 'tokens') throw e;
+      console.error(`  ⚠️ Helius DAS failed, relying on direct RPC:`, e.message);
+    }
     
     console.log(`📊 Solana ${mode}: Helius returned ${items.length} items`);
 
     if (mode === 'tokens') {
       const tokens = [];
+      // Unrounded amounts of Token-2022 holdings, adjusted once the mint extensions are known
+      const token2022 = new Map();
       
       // Add native SOL balance first
       if (nativeBalance) {
-        const solBalance = (nativeBalance.lamports || 0) / 1e9;
+        const amount = exactAmount(nativeBalance.lamports, 9);
+        const solBalance = Number(amount.balanceExact);
         if (solBalance > 0) {
           tokens.push({
             id: 'native-sol',
             name: 'Solana',
             symbol: 'SOL',
             balance: solBalance.toFixed(4),
+            ...amount,
             usdPrice: solPrice,
             nativePrice: '1.0000',
             totalValue: (solBalance * solPrice).toFixed(2),
@@ -1290,14 +2649,46 @@ app.get('/api/:mode(nfts|tokens)/solana/:address', async (req, res) => {
           });
         }
       }
+
+      // SOL in stake accounts (delegated or not) counts toward the portfolio too
+      try {
+        const { accounts } = await fetchSolanaStakeAccounts(address);
+        const amount = exactAmount(accounts.reduce((sum, a) => sum + toRawAmount(a.lamports), 0n), 9);
+        const staked = Number(amount.balanceExact);
+        if (staked > 0) {
+          tokens.push({
+            id: 'staked-sol',
+            name: 'Staked SOL',
+            symbol: 'SOL',
+            balance: staked.toFixed(4),
+            ...amount,
+            usdPrice: solPrice,
+            nativePrice: '1.0000',
+            totalValue: (staked * solPrice).toFixed(2),
+            image: 'https://assets.coingecko.com/coins/images/4128/small/solana.png',
+            chain: 'solana',
+            isToken: true,
+            staked: true,
+            stakeAccounts: accounts.length
+          });
+        }
+      } catch (e) {
+        console.error(`  ⚠️ Solana stake account lookup failed:`, e.message);
+      }
       
-      // Add SPL tokens from Helius
+      // Add SPL tokens from Helius, once per mint
+      const seenMints = new Set();
       const heliusTokens = items
-        .filter(i => i.interface === 'FungibleToken' || i.interface === 'FungibleAsset')
+        .filter(i => (i.interface === 'FungibleToken' || i.interface === 'FungibleAsset') && !seenMints.has(i.id) && seenMints.add(i.id))
         .map(t => {
-          const balanceNum = (t.token_info?.balance / Math.pow(10, t.token_info?.decimals || 0));
+          // DAS sends the raw balance as a JSON number; the RPC pass below swaps in the exact string
+          const amount = exactAmount(t.token_info?.balance, t.token_info?.decimals);
+          const balanceNum = Number(amount.balanceExact);
           const usdPrice = t.token_info?.price_info?.price_per_token || 0;
           const nativePrice = solPrice > 0 ? (usdPrice / solPrice) : 0;
+          if (t.token_info?.token_program === TOKEN_2022_PROGRAM) {
+            token2022.set(t.id, { amount: balanceNum, decimals: amount.decimals });
+          }
           
           return {
             id: t.id,
@@ -1305,6 +2696,7 @@ app.get('/api/:mode(nfts|tokens)/solana/:address', async (req, res) => {
             name: t.content?.metadata?.name || 'Solana Token',
             symbol: t.content?.metadata?.symbol || 'SPL',
             balance: balanceNum.toFixed(4),
+            ...amount,
             usdPrice: usdPrice,
             nativePrice: nativePrice.toFixed(4),
             totalValue: (balanceNum * usdPrice).toFixed(2),
@@ -1318,124 +2710,160 @@ app.get('/api/:mode(nfts|tokens)/solana/:address', async (req, res) => {
             isToken: true
           };
         })
-        .filter(t => parseFloat(t.balance) > 0);
+        .filter(t => t.rawBalance !== '0');
       
       tokens.push(...heliusTokens);
       
-      // Method 2: DIRECT RPC token account lookup (catches BRAND NEW tokens Helius hasn't indexed yet)
+      // Method 2: DIRECT RPC token account lookup under both token programs (catches BRAND NEW
+      // tokens Helius hasn't indexed yet, and Token-2022 mints the legacy program never lists)
       console.log(`🔍 Solana: Doing direct RPC token account lookup for newest tokens...`);
-      try {
-        const tokenAccountsResponse = await fetch(heliusUrl, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            jsonrpc: '2.0',
-            id: `token-accounts-${timestamp}`,
-            method: 'getTokenAccountsByOwner',
-            params: [
-              address,
-              { programId: 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA' }, // SPL Token Program
-              { encoding: 'jsonParsed' }
-            ]
-          })
-        });
-        
-        const tokenAccountsData = await tokenAccountsResponse.json();
-        const tokenAccounts = tokenAccountsData.result?.value || [];
-        console.log(`📊 Solana: Direct RPC found ${tokenAccounts.length} token accounts`);
-        
-        // Get mints we already have from Helius
-        const existingMints = new Set(tokens.map(t => t.mint || t.id));
-        
-        // Process token accounts
-        const directTokens = await Promise.all(
-          tokenAccounts
-            .filter(account => {
-              const mint = account.account?.data?.parsed?.info?.mint;
-              const balance = account.account?.data?.parsed?.info?.tokenAmount?.uiAmount || 0;
-              return mint && balance > 0 && !existingMints.has(mint);
-            })
-            .slice(0, 50) // Limit to avoid too many lookups
-            .map(async (account) => {
-              try {
-                const mint = account.account.data.parsed.info.mint;
-                const balance = account.account.data.parsed.info.tokenAmount.uiAmount;
-                const decimals = account.account.data.parsed.info.tokenAmount.decimals;
-                
-                // Try to get metadata
-                let symbol = 'UNKNOWN';
-                let name = 'Unknown Token';
-                let image = '';
-                
-                // Try to fetch token metadata
-                try {
-                  const metadataResponse = await fetch(heliusUrl, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({
-                      jsonrpc: '2.0',
-                      id: 'get-asset',
-                      method: 'getAsset',
-                      params: { id: mint }
-                    })
-                  });
-                  const metadata = await metadataResponse.json();
-                  if (metadata.result) {
-                    symbol = metadata.result.content?.metadata?.symbol || mint.substring(0, 6);
-                    name = metadata.result.content?.metadata?.name || 'New Token';
-                    image = metadata.result.content?.links?.image || image;
-                  }
-                } catch (e) {
-                  console.log(`  Unable to fetch metadata for ${mint}`);
-                }
-
-                // CoinGecko fallback if image still empty after metadata fetch
-                if (!image && symbol && symbol !== 'UNKNOWN') {
-                  try { image = await fetchTokenImage(symbol); } catch {}
-                }
-                
-                // Try to get price
-                const usdPrice = await fetchUSDPrice('solana', mint);
-                const nativePrice = solPrice > 0 ? (usdPrice / solPrice) : 0;
-                
-                console.log(`  ✅ Found NEW token via RPC: ${symbol} (${mint.substring(0, 8)}...) = ${balance}`);
-                
-                return {
-                  id: mint,
-                  mint: mint,
-                  name: name,
-                  symbol: symbol,
-                  balance: balance.toFixed(4),
-                  usdPrice: usdPrice,
-                  nativePrice: nativePrice.toFixed(4),
-                  totalValue: (balance * usdPrice).toFixed(2),
-                  image: image,
-                  chain: 'solana',
-                  isToken: true,
-                  isNew: true // Flag to indicate this was caught via direct RPC
-                };
-              } catch (e) {
-                console.error(`  Error processing token account:`, e.message);
-                return null;
-              }
-            })
-        );
-        
-        const validDirectTokens = directTokens.filter(t => t !== null);
-        if (validDirectTokens.length > 0) {
-          console.log(`  ✅ Added ${validDirectTokens.length} NEW tokens from direct RPC!`);
-          tokens.push(...validDirectTokens);
+      const existingMints = new Set(tokens.map(t => t.mint || t.id));
+      const held = new Map(); // mint -> summed raw amount across the owner's accounts
+      const rpcRaw = new Map(); // mint -> exact raw amount, for mints DAS already returned
+      const programs = await Promise.allSettled([SPL_TOKEN_PROGRAM, TOKEN_2022_PROGRAM].map(programId =>
+        heliusRpc('getTokenAccountsByOwner', [address, { programId }, { encoding: 'jsonParsed' }])
+          .then(result => ({ programId, accounts: result?.value || [] }))
+      ));
+      programs.forEach((outcome, i) => {
+        if (outcome.status === 'rejected') {
+          console.error(`  ⚠️ Direct RPC token lookup failed (${i ? 'Token-2022' : 'SPL Token'}):`, outcome.reason.message);
+          return;
+        }
+        const { programId, accounts } = outcome.value;
+        console.log(`📊 Solana: Direct RPC found ${accounts.length} ${programId === TOKEN_2022_PROGRAM ? 'Token-2022' : 'SPL'} token accounts`);
+        for (const account of accounts) {
+          const info = account.account?.data?.parsed?.info;
+          const raw = toRawAmount(info?.tokenAmount?.amount);
+          if (!info?.mint || raw <= 0n) continue;
+          if (existingMints.has(info.mint)) {
+            rpcRaw.set(info.mint, (rpcRaw.get(info.mint) || 0n) + raw);
+            continue;
+          }
+          // Raw amounts, not uiAmount: some RPCs already apply interest-bearing scaling to it
+          const entry = held.get(info.mint) || { mint: info.mint, programId, decimals: info.tokenAmount.decimals, raw: 0n };
+          entry.raw += raw;
+          held.set(info.mint, entry);
+        }
+      });
+
+      for (const token of heliusTokens) {
+        const raw = rpcRaw.get(token.mint);
+        if (raw === undefined) continue;
+        Object.assign(token, exactAmount(raw, token.decimals));
+        const balance = Number(token.balanceExact);
+        token.balance = balance.toFixed(4);
+        token.totalValue = (balance * (token.usdPrice || 0)).toFixed(2);
+        if (token2022.has(token.mint)) token2022.get(token.mint).amount = balance;
+      }
+
+      const newHoldings = [...held.values()];
+      newHoldings.forEach(h => {
+        if (h.programId === TOKEN_2022_PROGRAM) token2022.set(h.mint, { amount: Number(formatUnitsExact(h.raw, h.decimals)), decimals: h.decimals });
+      });
+
+      let extensions = new Map();
+      if (token2022.size) {
+        try { extensions = await fetchToken2022Extensions([...token2022.keys()]); }
+        catch (e) { console.error(`  ⚠️ Token-2022 extension lookup failed:`, e.message); }
+      }
+
+      const directTokens = await mapWithConcurrency(newHoldings, 5, async ({ mint, raw, decimals }) => {
+        try {
+          const amount = exactAmount(raw, decimals);
+          const balance = Number(amount.balanceExact);
+          const tokenMetadata = extensions.get(mint)?.tokenMetadata;
+          
+          // Try to get metadata
+          let symbol = tokenMetadata?.symbol || 'UNKNOWN';
+          let name = tokenMetadata?.name || 'Unknown Token';
+          let image = '';
+          
+          // Try to fetch token metadata
+          try {
+            const info = await fetchSolanaMintInfo(mint);
+            if (info) {
+              symbol = info.symbol || tokenMetadata?.symbol || mint.substring(0, 6);
+              name = info.name || tokenMetadata?.name || 'New Token';
+              image = info.image || image;
+            }
+          } catch (e) {
+            console.log(`  Unable to fetch metadata for ${mint}`);
+          }
+
+          // CoinGecko fallback if image still empty after metadata fetch
+          if (!image && symbol && symbol !== 'UNKNOWN') {
+            try { image = await fetchTokenImage(symbol); } catch {}
+          }
+          
+          // Try to get price
+          const usdPrice = await fetchUSDPrice('solana', mint);
+          const nativePrice = solPrice > 0 ? (usdPrice / solPrice) : 0;
+          
+          console.log(`  ✅ Found NEW token via RPC: ${symbol} (${mint.substring(0, 8)}...) = ${balance}`);
+          
+          return {
+            id: mint,
+            mint: mint,
+            name: name,
+            symbol: symbol,
+            balance: balance.toFixed(4),
+            ...amount,
+            usdPrice: usdPrice,
+            nativePrice: nativePrice.toFixed(4),
+            totalValue: (balance * usdPrice).toFixed(2),
+            image: image,
+            chain: 'solana',
+            isToken: true,
+            isNew: true // Flag to indicate this was caught via direct RPC
+          };
+        } catch (e) {
+          console.error(`  Error processing token account:`, e.message);
+          return null;
+        }
+      });
+      
+      const validDirectTokens = directTokens.filter(t => t !== null);
+      if (validDirectTokens.length > 0) {
+        console.log(`  ✅ Added ${validDirectTokens.length} NEW tokens from direct RPC!`);
+        tokens.push(...validDirectTokens);
+      }
+
+      // Token-2022 extensions: interest-bearing mints show the accrued amount; transfer fees
+      // are surfaced so the UI can warn that a send delivers less than the balance
+      const feeMints = [...extensions.values()].some(ext => ext.transferFeeConfig);
+      const epoch = feeMints ? await heliusRpc('getEpochInfo', []).then(r => r?.epoch, () => null) : null;
+      for (const token of tokens) {
+        const holding = token2022.get(token.mint);
+        if (!holding) continue;
+        token.tokenProgram = 'token-2022';
+        const ext = extensions.get(token.mint) || {};
+        // rawBalance/balanceExact stay the on-chain principal; the accrued amount is display-only
+        if (ext.interestBearingConfig) {
+          const scale = interestBearingScale(ext.interestBearingConfig);
+          const balance = holding.amount * scale;
+          token.balance = balance.toFixed(4);
+          token.totalValue = (balance * (token.usdPrice || 0)).toFixed(2);
+          token.interestBearing = { rateBps: ext.interestBearingConfig.currentRate, scale: Number(scale.toFixed(9)) };
+        }
+        if (ext.transferFeeConfig) {
+          const { olderTransferFee, newerTransferFee } = ext.transferFeeConfig;
+          const fee = epoch != null && newerTransferFee && epoch < newerTransferFee.epoch ? olderTransferFee : newerTransferFee;
+          if (fee) {
+            token.transferFee = {
+              basisPoints: fee.transferFeeBasisPoints,
+              maxFee: Number(fee.maximumFee) / Math.pow(10, holding.decimals),
+              epoch: fee.epoch
+            };
+          }
         }
-        
-      } catch (rpcErr) {
-        console.error(`  ⚠️ Direct RPC token lookup failed:`, rpcErr.message);
       }
       
       console.log(`✅ Solana: Returning ${tokens.length} total tokens`);
-      res.json({ nfts: tokens });
+      return tokens;
       
     } else {
-      const nfts = items.filter(i => i.interface !== 'FungibleToken' && i.interface !== 'FungibleAsset').map(asset => ({
+      const seenIds = new Set();
+      const nfts = items.filter(i => i.interface !== 'FungibleToken' && i.interface !== 'FungibleAsset' && !seenIds.has(i.id) && seenIds.add(i.id)).map(asset => ({
         id: asset.id,
         name: asset.content?.metadata?.name || 'Solana NFT',
         chain: 'solana',
@@ -1444,9 +2872,88 @@ app.get('/api/:mode(nfts|tokens)/solana/:address', async (req, res) => {
         isToken: false,
         metadata: { traits: asset.content?.metadata?.attributes || [], description: asset.content?.metadata?.description || '' }
       }));
-      res.json({ nfts });
+      return nfts;
     }
-  } catch (err) { res.status(500).json({ error: err.message }); }
+  } catch (err) {
+    console.error('❌ Solana scan error:', err.message);
+    throw err;
+  }
+};
+
+app.get('/api/:mode(nfts|tokens)/solana/:address', scanRoute(scanSolana));
+
+// GET /api/staking/solana/:address?epochs=5 — stake accounts, their validators and the
+// inflation rewards of the last few epochs
+app.get('/api/staking/solana/:address', async (req, res) => {
+  const { address } = req.params;
+  if (!/^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(address)) return res.status(400).json({ error: 'Invalid Solana address' });
+  const epochs = Math.min(Math.max(parseInt(req.query.epochs, 10) || 5, 1), 10);
+
+  const cacheKey = `sol-staking:${address}:${epochs}`;
+  const cached = await cacheGet(cacheKey);
+  if (cached) return res.json(cached);
+
+  try {
+    const [{ epoch, accounts }, solPrice] = await Promise.all([
+      fetchSolanaStakeAccounts(address),
+      fetchUSDPrice('solana', 'So11111111111111111111111111111111111111112')
+    ]);
+
+    const voters = [...new Set(accounts.map(a => a.voteAccount).filter(Boolean))];
+    const pubkeys = accounts.map(a => a.pubkey);
+    // Rewards for epoch N are paid at the start of N+1, so the latest complete one is epoch − 1
+    const rewardEpochs = Array.from({ length: epochs }, (_, i) => epoch - 1 - i).filter(e => e >= 0);
+    const [validators, rewardsByEpoch] = await Promise.all([
+      Promise.all(voters.map(votePubkey => heliusRpc('getVoteAccounts', [{ votePubkey }])
+        .then(r => [...(r?.current || []).map(v => ({ ...v, delinquent: false })), ...(r?.delinquent || []).map(v => ({ ...v, delinquent: true }))][0] || null)
+        .catch(() => null))),
+      pubkeys.length
+        ? Promise.all(rewardEpochs.map(e => heliusRpc('getInflationReward', [pubkeys, { epoch: e }]).catch(() => pubkeys.map(() => null))))
+        : []
+    ]);
+    const validatorByVoter = new Map(voters.map((v, i) => [v, validators[i]]));
+
+    const detailed = accounts.map((account, i) => {
+      const validator = validatorByVoter.get(account.voteAccount);
+      return {
+        ...account,
+        validator: validator ? {
+          commission: validator.commission,
+          activatedStake: validator.activatedStake / 1e9,
+          delinquent: validator.delinquent
+        } : null,
+        rewards: rewardEpochs
+          .map((e, j) => rewardsByEpoch[j]?.[i] && {
+            epoch: e,
+            amount: rewardsByEpoch[j][i].amount / 1e9,
+            postBalance: rewardsByEpoch[j][i].postBalance / 1e9,
+            commission: rewardsByEpoch[j][i].commission
+          })
+          .filter(Boolean)
+      };
+    });
+
+    const sol = (n) => Number(n.toFixed(9)); // trim float noise from summed lamports
+    const totalBalance = sol(detailed.reduce((sum, a) => sum + a.balance, 0));
+    const payload = {
+      address,
+      epoch,
+      totalBalance,
+      totalDelegated: sol(detailed.reduce((sum, a) => sum + a.delegatedStake, 0)),
+      accounts: detailed,
+      rewards: rewardEpochs.map(e => ({
+        epoch: e,
+        amount: sol(detailed.reduce((sum, a) => sum + (a.rewards.find(r => r.epoch === e)?.amount || 0), 0))
+      })),
+      solPrice,
+      usd: { totalBalance: Number((totalBalance * solPrice).toFixed(2)) }
+    };
+    await cacheSet(cacheKey, payload, SOL_STAKING_CACHE_TTL_MS);
+    res.json(payload);
+  } catch (err) {
+    console.error('❌ Solana staking error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
 });
 
 // --- Cardano ---
@@ -1470,6 +2977,204 @@ app.get('/api/resolve/sns/:name', async (req, res) => {
   }
 });
 
+const BLOCKFROST_API = 'https://cardano-mainnet.blockfrost.io/api/v0';
+// Blockfrost requests in flight at once, shared by every scan (free tier: 10/s, burst 500)
+const BLOCKFROST_CONCURRENCY = Number(process.env.BLOCKFROST_CONCURRENCY) || 5;
+// Pages of 100 followed on list endpoints (default 100 → 10,000 entries)
+const BLOCKFROST_MAX_PAGES = Number(process.env.BLOCKFROST_MAX_PAGES) || 100;
+const BLOCKFROST_MAX_RETRIES = 5;
+// Policy metadata is effectively immutable; the TTL only bounds staleness of registry edits
+const BLOCKFROST_ASSET_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Slot pool: a released slot passes straight to the next waiter so the cap is never exceeded
+let blockfrostActive = 0;
+const blockfrostWaiting = [];
+const acquireBlockfrost = () => {
+  if (blockfrostActive < BLOCKFROST_CONCURRENCY) { blockfrostActive++; return Promise.resolve(); }
+  return new Promise(resolve => blockfrostWaiting.push(resolve));
+};
+const releaseBlockfrost = () => {
+  const next = blockfrostWaiting.shift();
+  if (next) next(); else blockfrostActive--;
+};
+
+// GET a Blockfrost path → parsed JSON, or null on 404. 429s and 5xx back off and retry
+// (honouring Retry-After) without holding a slot; anything else throws.
+const blockfrostGet = async (path) => {
+  for (let attempt = 0; ; attempt++) {
+    await acquireBlockfrost();
+    let res;
+    try {
+      res = await fetch(`${BLOCKFROST_API}${path}`, {
+        headers: { 'project_id': API_KEYS.blockfrost, 'Cache-Control': 'no-cache' }
+      });
+    } finally {
+      releaseBlockfrost();
+    }
+    if (res.status === 404) return null;
+    if (res.ok) return res.json();
+
+    if ((res.status !== 429 && res.status < 500) || attempt >= BLOCKFROST_MAX_RETRIES) {
+      const body = await res.json().catch(() => ({}));
+      throw Object.assign(new Error(`Blockfrost ${res.status} on ${path.split('?')[0]}: ${body.message || res.statusText}`), { status: 502 });
+    }
+    const retryAfter = Number(res.headers.get('retry-after'));
+    const delay = retryAfter > 0 ? retryAfter * 1000 : Math.min(1000 * 2 ** attempt, 16000) + Math.random() * 250;
+    console.warn(`  ⏳ Blockfrost ${res.status}, retry ${attempt + 1}/${BLOCKFROST_MAX_RETRIES} in ${Math.round(delay)}ms`);
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
+};
+
+// Follows ?page= on a Blockfrost list endpoint until a short page (or the page cap)
+const blockfrostGetAll = async (path) => {
+  const items = [];
+  const sep = path.includes('?') ? '&' : '?';
+  for (let page = 1; page <= BLOCKFROST_MAX_PAGES; page++) {
+    const batch = await blockfrostGet(`${path}${sep}count=100&page=${page}`);
+    if (!Array.isArray(batch)) break;
+    items.push(...batch);
+    if (batch.length < 100) break;
+    if (page === BLOCKFROST_MAX_PAGES) console.warn(`  ⚠️ Blockfrost: stopped at ${items.length} entries of ${path.split('?')[0]} (BLOCKFROST_MAX_PAGES=${BLOCKFROST_MAX_PAGES})`);
+  }
+  return items;
+};
+
+// /assets/<unit>, cached in the store (so across restarts with REDIS_URL); misses aren't cached
+const fetchBlockfrostAsset = async (unit) => {
+  const cached = await cacheGet(`bf-asset:${unit}`);
+  if (cached) return cached;
+  const meta = await blockfrostGet(`/assets/${unit}`);
+  if (meta) await cacheSet(`bf-asset:${unit}`, meta, BLOCKFROST_ASSET_TTL_MS);
+  return meta;
+};
+
+// ── CIP-68: metadata lives in the inline datum of a (100) reference token ──────
+// Asset names start with a CIP-67 label: 0 + 16-bit label + CRC-8 + 0, hex-encoded
+const CIP68_LABELS = { '000643b0': 100, '000de140': 222, '0014df10': 333, '001bc280': 444 };
+const CIP68_REFERENCE_PREFIX = '000643b0';
+const CIP68_TTL_MS = 6 * 60 * 60 * 1000; // reference datums can be updated by the issuer
+
+const cip68Label = (assetNameHex) => CIP68_LABELS[(assetNameHex || '').slice(0, 8)] || null;
+
+// Minimal CBOR reader for Plutus data: ints (incl. bignum tags), byte strings (incl. chunked),
+// lists, maps and constructor tags. Bytes come back as Buffers, ints as BigInts, maps as Maps
+// and constructors as { constr, fields }.
+const decodePlutusData = (hex) => {
+  const buf = Buffer.from(hex, 'hex');
+  let pos = 0;
+  const readLength = (info) => {
+    if (info < 24) return BigInt(info);
+    if (info === 24) return BigInt(buf.readUInt8(pos++));
+    if (info === 25) { const v = buf.readUInt16BE(pos); pos += 2; return BigInt(v); }
+    if (info === 26) { const v = buf.readUInt32BE(pos); pos += 4; return BigInt(v); }
+    if (info === 27) { const v = buf.readBigUInt64BE(pos); pos += 8; return v; }
+    if (info === 31) return null; // indefinite length
+    throw new Error(`Unsupported CBOR length encoding ${info}`);
+  };
+  const isBreak = () => buf[pos] === 0xff && ++pos;
+  const item = () => {
+    if (pos >= buf.length) throw new Error('Truncated CBOR');
+    const initial = buf[pos++];
+    const major = initial >> 5;
+    const len = readLength(initial & 0x1f);
+    switch (major) {
+      case 0: return len;
+      case 1: return -1n - len;
+      case 2: {
+        if (len === null) {
+          const chunks = [];
+          while (!isBreak()) chunks.push(item());
+          return Buffer.concat(chunks);
+        }
+        const bytes = buf.subarray(pos, pos + Number(len));
+        pos += Number(len);
+        return Buffer.from(bytes);
+      }
+      case 3: {
+        const text = buf.toString('utf8', pos, pos + Number(len));
+        pos += Number(len);
+        return text;
+      }
+      case 4: {
+        const list = [];
+        if (len === null) { while (!isBreak()) list.push(item()); }
+        else for (let i = 0n; i < len; i++) list.push(item());
+        return list;
+      }
+      case 5: {
+        const map = new Map();
+        if (len === null) { while (!isBreak()) map.set(item(), item()); }
+        else for (let i = 0n; i < len; i++) map.set(item(), item());
+        return map;
+      }
+      case 6: {
+        const tag = Number(len);
+        const value = item();
+        if (tag >= 121 && tag <= 127) return { constr: tag - 121, fields: value };
+        if (tag >= 1280 && tag <= 1400) return { constr: tag - 1280 + 7, fields: value };
+        if (tag === 102) return { constr: Number(value[0]), fields: value[1] };
+        if (tag === 2) return BigInt(`0x${value.toString('hex') || '0'}`);
+        if (tag === 3) return -1n - BigInt(`0x${value.toString('hex') || '0'}`);
+        return value;
+      }
+      default: throw new Error(`Unsupported CBOR major type ${major}`);
+    }
+  };
+  return item();
+};
+
+// Plutus data → JSON-friendly values: UTF-8 byte strings become text (others stay hex),
+// safe integers become numbers
+const plutusToJson = (value) => {
+  if (Buffer.isBuffer(value)) {
+    const text = value.toString('utf8');
+    return Buffer.from(text, 'utf8').equals(value) && !/[\u0000-\u0008\u000e-\u001f]/.test(text) ? text : value.toString('hex');
+  }
+  if (typeof value === 'bigint') return value <= BigInt(Number.MAX_SAFE_INTEGER) && value >= BigInt(Number.MIN_SAFE_INTEGER) ? Number(value) : value.toString();
+  if (Array.isArray(value)) return value.map(plutusToJson);
+  if (value instanceof Map) return Object.fromEntries([...value].map(([k, v]) => [String(plutusToJson(k)), plutusToJson(v)]));
+  if (value && typeof value === 'object' && 'constr' in value) return { constr: value.constr, fields: plutusToJson(value.fields) };
+  return value;
+};
+
+// Metadata map from the reference token's datum: Constr 0 [metadata, version, extra].
+// The datum is read from the UTxO holding the (100) token, inline or by hash.
+const fetchCip68Metadata = async (unit) => {
+  const policyId = unit.slice(0, 56);
+  const refUnit = policyId + CIP68_REFERENCE_PREFIX + unit.slice(64);
+  const cached = await cacheGet(`cip68:${refUnit}`);
+  if (cached) return cached;
+
+  const holders = await blockfrostGet(`/assets/${refUnit}/addresses`);
+  const holder = holders?.[0]?.address;
+  if (!holder) return null;
+  const utxos = await blockfrostGet(`/addresses/${holder}/utxos/${refUnit}`);
+  const utxo = utxos?.[0];
+  let cbor = utxo?.inline_datum;
+  if (!cbor && utxo?.data_hash) cbor = (await blockfrostGet(`/scripts/datum/${utxo.data_hash}/cbor`))?.cbor;
+  if (!cbor) return null;
+
+  const datum = decodePlutusData(cbor);
+  if (datum?.constr !== 0 || !(datum.fields?.[0] instanceof Map)) return null;
+  const metadata = plutusToJson(datum.fields[0]);
+  const version = plutusToJson(datum.fields[1]);
+  const result = { ...metadata, _cip68: { version, reference: refUnit } };
+  await cacheSet(`cip68:${refUnit}`, result, CIP68_TTL_MS);
+  return result;
+};
+
+// CIP-68 NFTs keep traits either under attributes/traits or as extra top-level keys
+const CIP68_STANDARD_KEYS = new Set(['name', 'image', 'mediaType', 'description', 'files', 'decimals', 'ticker', 'url', 'logo', '_cip68']);
+const cip68Traits = (metadata) => {
+  const source = metadata.attributes || metadata.traits
+    || Object.fromEntries(Object.entries(metadata).filter(([key]) => !CIP68_STANDARD_KEYS.has(key)));
+  const show = (value) => (typeof value === 'object' ? JSON.stringify(value) : String(value));
+  if (Array.isArray(source)) {
+    return source.map(v => (v && typeof v === 'object' && 'trait_type' in v ? v : { trait_type: '', value: show(v) }));
+  }
+  return Object.entries(source).map(([trait_type, value]) => ({ trait_type, value: show(value) }));
+};
+
 // Helper: Resolve ADA Handle to Address
 const resolveAdaHandle = async (handle) => {
   const cleanHandle = handle.replace('$', '').toLowerCase();
@@ -1484,14 +3189,9 @@ const resolveAdaHandle = async (handle) => {
     const policyId = "f0ff48bbb7bbe9d59a40f1ce90e9e9d0ff5002ec48f232b49ca0fb9a";
     const assetNameHex = Buffer.from(cleanHandle).toString('hex');
     const assetId = policyId + assetNameHex;
-    const bfRes = await fetch(`https://cardano-mainnet.blockfrost.io/api/v0/assets/${assetId}/addresses`, {
-      headers: { 'project_id': API_KEYS.blockfrost }
-    });
-    if (bfRes.ok) {
-      const bfData = await bfRes.json();
-      if (bfData && bfData.length > 0 && bfData[0].address) {
-        return bfData[0].address;
-      }
+    const bfData = await blockfrostGet(`/assets/${assetId}/addresses`);
+    if (bfData && bfData.length > 0 && bfData[0].address) {
+      return bfData[0].address;
     }
     return null;
   } catch (err) {
@@ -1500,30 +3200,130 @@ const resolveAdaHandle = async (handle) => {
   }
 };
 
-app.get('/api/:mode(nfts|tokens)/cardano/:address', async (req, res) => {
-  let { mode, address } = req.params;
+const isAdaHandle = (input) => input.startsWith('$') || (!input.startsWith('addr') && !input.startsWith('stake') && /^[a-z0-9_-]+$/i.test(input));
+
+// $handle, stake1… or addr1… → { stakeAddress, addresses }: every address under the stake key,
+// or just the one address for enterprise (stake-less) addresses
+const resolveCardanoAccount = async (input) => {
+  let address = input;
+  if (isAdaHandle(input)) {
+    address = await resolveAdaHandle(input);
+    if (!address) throw Object.assign(new Error(`Handle "${input}" not found`), { status: 404 });
+  }
+  let stakeAddress = address.startsWith('stake') ? address : null;
+  if (!stakeAddress) {
+    const addrData = await blockfrostGet(`/addresses/${address}`);
+    if (!addrData) return { stakeAddress: null, addresses: [] }; // never used on chain
+    stakeAddress = addrData.stake_address || null;
+  }
+  if (!stakeAddress) return { stakeAddress: null, addresses: [address] };
+  const owned = (await blockfrostGetAll(`/accounts/${stakeAddress}/addresses`)).map(a => a.address);
+  if (address.startsWith('addr') && !owned.includes(address)) owned.push(address);
+  return { stakeAddress, addresses: owned };
+};
+
+// ── Cardano token prices: ADA-denominated, from DEX liquidity, keyed by unit ──
+// Fiat-backed stables are pinned to $1. Algorithmic ones (dexFirst) use their DEX
+// price when there is one, so a de-peg shows up instead of being hidden.
+const CARDANO_PEGGED_UNITS = {
+  'f66d78b4a3cb3d37afa0ec36461e51ecbde00f26c8f0a68f94b6988069555344': { symbol: 'iUSD', dexFirst: true },
+  '8db269c3ec630e06ae29f74bc39edd1f87c819f1056206e879a1cd61446a65644d6963726f555344': { symbol: 'DJED', dexFirst: true },
+  'fe7c786ab321f41c654ef6c1af7b3250a613c24e4213e0425a7ae45655534441': { symbol: 'USDA' },
+  'c48cbb3d5e57ed56e276bc45f99ab39abe94e6cd7ac39fb402da47ad0014df105553444d': { symbol: 'USDM' },
+  '25c5de5f5b286073c593edfd77b48abc7a48e5a4f3d4cd9d428ff93555534443': { symbol: 'wanUSDC' },
+  '25c5de5f5b286073c593edfd77b48abc7a48e5a4f3d4cd9d428ff93555534454': { symbol: 'wanUSDT' },
+};
+const DEXHUNTER_API = 'https://api-us.dexhunter.io';
+const MINSWAP_PAIRS_URL = 'https://api-mainnet-prod.minswap.org/coinmarketcap/v2/pairs';
+const MINSWAP_PAIRS_TTL_MS = 5 * 60 * 1000;
+
+// DexHunter's aggregated ADA price for one unit (needs DEXHUNTER_PARTNER_ID)
+const fetchDexHunterAdaPrice = async (unit) => {
+  if (!API_KEYS.dexhunter) return 0;
+  const r = await fetch(`${DEXHUNTER_API}/swap/averagePrice/ADA/${unit}`, {
+    headers: { 'X-Partner-Id': API_KEYS.dexhunter }
+  });
+  if (!r.ok) return 0;
+  const d = await r.json();
+  return Number(d.averagePrice ?? d.price_ba) || 0;
+};
+
+// Minswap publishes every pair's last price in one list; it's indexed once per
+// process (unit → ADA per token) and refreshed every few minutes
+let minswapIndex = { at: 0, promise: null };
+const ADA_IDS = new Set(['', 'lovelace', 'ada']);
+const fetchMinswapAdaPrices = () => {
+  if (minswapIndex.promise && Date.now() - minswapIndex.at < MINSWAP_PAIRS_TTL_MS) return minswapIndex.promise;
+  const promise = (async () => {
+    const r = await fetch(MINSWAP_PAIRS_URL);
+    if (!r.ok) throw new Error(`Minswap pairs ${r.status}`);
+    const pairs = Object.values(await r.json() || {});
+    const index = new Map();
+    for (const p of pairs) {
+      const base = String(p.base_id || '').replace('.', '').toLowerCase();
+      const quote = String(p.quote_id || '').replace('.', '').toLowerCase();
+      const price = Number(p.last_price);
+      if (!(price > 0)) continue;
+      if (ADA_IDS.has(quote) && !ADA_IDS.has(base)) index.set(base, price);
+      else if (ADA_IDS.has(base) && !ADA_IDS.has(quote)) index.set(quote, 1 / price);
+    }
+    return index;
+  })();
+  minswapIndex = { at: Date.now(), promise };
+  promise.catch(() => { if (minswapIndex.promise === promise) minswapIndex = { at: 0, promise: null }; });
+  return promise;
+};
+
+// Price of one token in ADA: DexHunter first, Minswap's pair list as the fallback. 0 = no market
+const fetchCardanoAdaPrice = async (unit) => {
+  const key = `cardano-dex-${unit}`;
+  const hit = await _cGet(key);
+  if (hit !== null) return hit;
+  let price = 0;
+  try { price = await fetchDexHunterAdaPrice(unit); }
+  catch (e) { console.warn(`  DexHunter price failed for ${unit.slice(0, 16)}…:`, e.message); }
+  if (!price) {
+    try { price = (await fetchMinswapAdaPrices()).get(unit) || 0; }
+    catch (e) { console.warn('  Minswap pairs unavailable:', e.message); }
+  }
+  return _cSet(key, price);
+};
+
+// USD price for a Cardano native token (per whole token): peg list, then DEX price × ADA/USD
+const fetchCardanoTokenPrice = async (unit, adaPrice) => {
+  const peg = CARDANO_PEGGED_UNITS[unit];
+  if (peg && !peg.dexFirst) return 1;
+  const adaPerToken = await fetchCardanoAdaPrice(unit);
+  if (adaPerToken > 0 && adaPrice > 0) return adaPerToken * adaPrice;
+  return peg ? 1 : 0;
+};
+
+// Resolves to the asset array for /api/:mode/cardano/:address — address may be a $handle
+const scanCardano = async (mode, address) => {
   try {
-    const isHandle = address.startsWith('$') || (!address.startsWith('addr') && !address.startsWith('stake') && /^[a-z0-9_-]+$/i.test(address));
-    if (isHandle) {
+    if (isAdaHandle(address)) {
       console.log(`🔍 Resolving ADA Handle: ${address}`);
       const resolvedAddress = await resolveAdaHandle(address);
       if (!resolvedAddress) {
-        return res.status(404).json({ error: `Handle "${address}" not found` });
+        throw Object.assign(new Error(`Handle "${address}" not found`), { status: 404 });
       }
       console.log(`✅ Resolved ${address} → ${resolvedAddress}`);
       address = resolvedAddress;
     }
     const adaPrice = await fetchCoinGeckoPrice('cardano');
     
-    // Add cache-busting headers
-    const blockfrostHeaders = { 
-      'project_id': API_KEYS.blockfrost,
-      'Cache-Control': 'no-cache, no-store, must-revalidate'
-    };
-    
-    const addrRes = await fetch(`https://cardano-mainnet.blockfrost.io/api/v0/addresses/${address}`, { headers: blockfrostHeaders });
-    if (addrRes.status === 404) return res.json({ nfts: [] });
-    const addrData = await addrRes.json();
+    // A stake address stands for the whole account: its UTxO balance is controlled stake
+    // minus the (not yet withdrawn) rewards
+    let addrData;
+    if (address.startsWith('stake')) {
+      const account = await blockfrostGet(`/accounts/${address}`);
+      if (!account) return [];
+      const utxoLovelace = BigInt(account.controlled_amount || 0) - BigInt(account.withdrawable_amount || 0);
+      addrData = { stake_address: address, amount: [{ unit: 'lovelace', quantity: utxoLovelace.toString() }] };
+    } else {
+      addrData = await blockfrostGet(`/addresses/${address}`);
+      if (!addrData) return [];
+    }
     
     console.log(`📊 Cardano ${mode}: Processing address ${address}`);
     
@@ -1531,14 +3331,15 @@ app.get('/api/:mode(nfts|tokens)/cardano/:address', async (req, res) => {
     
     // Add native ADA balance for tokens mode
     if (mode === 'tokens') {
-      const adaLovelace = parseInt(addrData.amount?.find(a => a.unit === 'lovelace')?.quantity || 0);
-      const adaBalance = adaLovelace / 1e6;
+      const amount = exactAmount(addrData.amount?.find(a => a.unit === 'lovelace')?.quantity, 6);
+      const adaBalance = Number(amount.balanceExact);
       if (adaBalance > 0) {
         results.push({
           id: 'native-ada',
           name: 'Cardano',
           symbol: 'ADA',
           balance: adaBalance.toFixed(2),
+          ...amount,
           usdPrice: adaPrice,
           nativePrice: '1.0000',
           totalValue: (adaBalance * adaPrice).toFixed(2),
@@ -1550,14 +3351,10 @@ app.get('/api/:mode(nfts|tokens)/cardano/:address', async (req, res) => {
       }
     }
     
-    // Method 1: Get assets from stake address (standard approach)
+    // Method 1: Get assets from stake address (standard approach), every page
     let assets = [];
     if (addrData.stake_address) {
-      const assetsRes = await fetch(
-        `https://cardano-mainnet.blockfrost.io/api/v0/accounts/${addrData.stake_address}/addresses/assets`, 
-        { headers: blockfrostHeaders }
-      );
-      assets = await assetsRes.json();
+      assets = await blockfrostGetAll(`/accounts/${addrData.stake_address}/addresses/assets`);
       console.log(`  Blockfrost stake assets: ${assets.length} total`);
     }
     
@@ -1576,6 +3373,13 @@ app.get('/api/:mode(nfts|tokens)/cardano/:address', async (req, res) => {
       }
     }
     
+    // Quantity says NFT vs token (CIP-68 222/333 labels override it), so only the
+    // relevant half needs metadata lookups
+    const isNftHolding = (a) => {
+      const label = cip68Label(a.unit.slice(56));
+      return label === 222 || (label !== 333 && parseInt(a.quantity) === 1);
+    };
+    assets = assets.filter(a => isNftHolding(a) === (mode === 'nfts'));
     console.log(`  Total unique assets to process: ${assets.length}`);
     
     // Decode Blockfrost hex asset_name → readable UTF-8
@@ -1609,21 +3413,24 @@ app.get('/api/:mode(nfts|tokens)/cardano/:address', async (req, res) => {
       return '';
     };
 
-    // Process ALL assets (removed .slice(0, 30) limit!)
-    const tasks = assets.map(async (a) => {
+    // Process ALL assets through the Blockfrost pool (metadata mostly comes from cache)
+    let failed = 0;
+    const taskResults = await mapWithConcurrency(assets, BLOCKFROST_CONCURRENCY, async (a) => {
       try {
-        const metaRes = await fetch(
-          `https://cardano-mainnet.blockfrost.io/api/v0/assets/${a.unit}`,
-          { headers: blockfrostHeaders }
-        );
-        if (!metaRes.ok) return null;
-
-        const meta = await metaRes.json();
-        const isNFT = parseInt(a.quantity) === 1;
-        if ((mode === 'tokens' && isNFT) || (mode === 'nfts' && !isNFT)) return null;
+        const assetMeta = await fetchBlockfrostAsset(a.unit);
+        if (!assetMeta) return null;
+
+        // ── CIP-68 user tokens: the reference datum stands in for onchain_metadata ──
+        const label = cip68Label(assetMeta.asset_name);
+        let cip68 = null;
+        if (label && label !== 100) {
+          try { cip68 = await fetchCip68Metadata(a.unit); }
+          catch (e) { console.error(`  CIP-68 datum lookup failed for ${a.unit}:`, e.message); }
+        }
+        const meta = cip68 ? { ...assetMeta, onchain_metadata: cip68 } : assetMeta;
 
-        // ── Name: onchain first, then decode hex asset_name ──────────────────
-        const decodedName = decodeAssetName(meta.asset_name);
+        // ── Name: onchain first, then decode hex asset_name (minus any CIP-67 label) ──
+        const decodedName = decodeAssetName(label ? meta.asset_name.slice(8) : meta.asset_name);
         let onchainName = meta.onchain_metadata?.name || meta.metadata?.name || '';
         if (Array.isArray(onchainName)) onchainName = onchainName.join('');
         const tokenName = (onchainName || decodedName || 'Cardano Asset').toString().trim();
@@ -1634,14 +3441,8 @@ app.get('/api/:mode(nfts|tokens)/cardano/:address', async (req, res) => {
 
         // ── Price — isolated so a failure never hides the token ───────────────
         let usdPrice = 0;
-        try {
-          const _cgId = NATIVE_CG_IDS[_ticker?.toUpperCase()];
-          if (_cgId) usdPrice = await fetchCoinGeckoPrice(_cgId);
-        } catch {}
-        // Stablecoin heuristic (USDCx, iUSD, DJED, USDA…)
-        if (usdPrice === 0) {
-          const su = symbol.toUpperCase();
-          if (su.includes('USD') || su === 'IUSD' || su === 'USDA' || su === 'DJED') usdPrice = 1.0;
+        if (mode === 'tokens') {
+          try { usdPrice = await fetchCardanoTokenPrice(a.unit, adaPrice); } catch {}
         }
 
         // ── Image — symbol is defined before this call ────────────────────────
@@ -1650,7 +3451,9 @@ app.get('/api/:mode(nfts|tokens)/cardano/:address', async (req, res) => {
           try { imageUrl = await fetchTokenImage(symbol); } catch {}
         }
 
-        const balance = (parseInt(a.quantity) / Math.pow(10, meta.metadata?.decimals || 0));
+        const decimals = Number(cip68?.decimals ?? meta.metadata?.decimals) || 0;
+        const amount = exactAmount(a.quantity, decimals);
+        const balance = Number(amount.balanceExact);
         const nativePrice = adaPrice > 0 ? (usdPrice / adaPrice) : 0;
 
         return {
@@ -1659,23 +3462,375 @@ app.get('/api/:mode(nfts|tokens)/cardano/:address', async (req, res) => {
           chain: 'cardano',
           image: imageUrl,
           balance: mode === 'tokens' ? balance.toFixed(2) : null,
+          ...(mode === 'tokens' && amount),
           usdPrice, nativePrice: nativePrice.toFixed(4),
           totalValue: (balance * usdPrice).toFixed(2),
           symbol, isToken: mode === 'tokens',
-          metadata: { traits: meta.onchain_metadata?.attributes || [], description: meta.onchain_metadata?.description || '' }
+          metadata: {
+            traits: cip68 ? cip68Traits(cip68) : meta.onchain_metadata?.attributes || [],
+            description: [].concat(meta.onchain_metadata?.description || '').join(''),
+            ...(cip68 && { standard: `CIP-68 (${label})` })
+          }
         };
       } catch (e) {
+        failed++;
         console.error(`  Error processing asset ${a.unit}:`, e.message);
         return null;
       }
-    });
-    
-    const taskResults = await Promise.all(tasks);
-    results.push(...taskResults.filter(n => n !== null));
-    
-    console.log(`✅ Cardano: Returning ${results.length} ${mode}`);
-    res.json({ nfts: results });
-  } catch (err) { res.status(500).json({ error: err.message }); }
+    });
+    
+    results.push(...taskResults.filter(n => n !== null));
+    if (failed) console.warn(`  ⚠️ Cardano: ${failed} asset lookups failed`);
+    
+    console.log(`✅ Cardano: Returning ${results.length} ${mode}`);
+    return results;
+  } catch (err) {
+    if (!err.status) console.error('❌ Cardano scan error:', err.message);
+    throw err;
+  }
+};
+
+app.get('/api/:mode(nfts|tokens)/cardano/:address', scanRoute(scanCardano));
+
+// --- Cardano staking & governance ---
+// GET /api/staking/cardano/:address — address may be addr1…, stake1… or a $handle
+const STAKING_CACHE_TTL_MS = 10 * 60 * 1000; // rewards only move once per epoch
+const SPECIAL_DREPS = { drep_always_abstain: 'always_abstain', drep_always_no_confidence: 'always_no_confidence' };
+const lovelaceToAda = (lovelace) => Number(BigInt(lovelace || 0)) / 1e6;
+
+const fetchStakePool = async (poolId) => {
+  const [pool, metadata] = await Promise.all([
+    blockfrostGet(`/pools/${poolId}`),
+    blockfrostGet(`/pools/${poolId}/metadata`).catch(() => null)
+  ]);
+  if (!pool) return { id: poolId };
+  return {
+    id: poolId,
+    ticker: metadata?.ticker || null,
+    name: metadata?.name || null,
+    homepage: metadata?.homepage || null,
+    margin: Number(pool.margin_cost),
+    fixedCost: lovelaceToAda(pool.fixed_cost),
+    pledge: lovelaceToAda(pool.declared_pledge),
+    livePledge: lovelaceToAda(pool.live_pledge),
+    liveStake: lovelaceToAda(pool.live_stake),
+    saturation: Number(pool.live_saturation),
+    delegators: pool.live_delegators,
+    blocksMinted: pool.blocks_minted,
+    retiring: (pool.retirement || []).length > 0
+  };
+};
+
+const fetchDRep = async (drepId) => {
+  if (SPECIAL_DREPS[drepId]) return { id: drepId, type: SPECIAL_DREPS[drepId] };
+  const [drep, metadata] = await Promise.all([
+    blockfrostGet(`/governance/dreps/${drepId}`),
+    blockfrostGet(`/governance/dreps/${drepId}/metadata`).catch(() => null)
+  ]);
+  const givenName = metadata?.json_metadata?.body?.givenName;
+  return {
+    id: drepId,
+    type: 'registered',
+    name: (givenName && typeof givenName === 'object' ? givenName['@value'] : givenName) || null,
+    votingPower: drep ? lovelaceToAda(drep.amount) : null,
+    active: drep ? drep.active && !drep.retired && !drep.expired : null,
+    retired: drep?.retired || false,
+    expired: drep?.expired || false
+  };
+};
+
+app.get('/api/staking/cardano/:address', async (req, res) => {
+  try {
+    const { stakeAddress } = await resolveCardanoAccount(req.params.address);
+    if (!stakeAddress) return res.status(400).json({ error: 'Address has no stake key, so it cannot delegate' });
+
+    const cacheKey = `staking:${stakeAddress}`;
+    const cached = await cacheGet(cacheKey);
+    if (cached) return res.json(cached);
+
+    const [account, rewards, adaPrice] = await Promise.all([
+      blockfrostGet(`/accounts/${stakeAddress}`),
+      blockfrostGetAll(`/accounts/${stakeAddress}/rewards?order=desc`),
+      fetchCoinGeckoPrice('cardano')
+    ]);
+    if (!account) return res.status(404).json({ error: 'Stake address not found on chain' });
+
+    const [pool, drep] = await Promise.all([
+      account.pool_id ? fetchStakePool(account.pool_id) : null,
+      account.drep_id ? fetchDRep(account.drep_id) : null
+    ]);
+
+    const controlledStake = lovelaceToAda(account.controlled_amount);
+    const withdrawableRewards = lovelaceToAda(account.withdrawable_amount);
+    const payload = {
+      stakeAddress,
+      registered: account.active,
+      activeEpoch: account.active_epoch,
+      controlledStake,
+      withdrawableRewards,
+      rewardsEarned: lovelaceToAda(account.rewards_sum),
+      rewardsWithdrawn: lovelaceToAda(account.withdrawals_sum),
+      pool,
+      drep,
+      rewards: rewards.map(r => ({ epoch: r.epoch, amount: lovelaceToAda(r.amount), type: r.type, poolId: r.pool_id })),
+      adaPrice,
+      usd: {
+        controlledStake: Number((controlledStake * adaPrice).toFixed(2)),
+        withdrawableRewards: Number((withdrawableRewards * adaPrice).toFixed(2))
+      }
+    };
+    await cacheSet(cacheKey, payload, STAKING_CACHE_TTL_MS);
+    res.json(payload);
+  } catch (err) {
+    if (!err.status || err.status >= 500) console.error('❌ Cardano staking error:', err.message);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// --- Profile portfolio (every linked wallet, scanned server-side) ---
+
+// Single entry point for the per-chain scanners; EVM chains go through Alchemy
+const scanAssets = (chain, mode, address) => {
+  if (chain === 'monad') return scanMonad(mode, address);
+  if (chain === 'solana') return scanSolana(mode, address);
+  if (chain === 'cardano') return scanCardano(mode, address);
+  const evm = evmChains.find(c => c.id === chain);
+  if (!evm) return Promise.reject(Object.assign(new Error(`Unsupported chain: ${chain}`), { status: 400 }));
+  return mode === 'nfts' ? fetchAlchemyNFTs(evm.net, address, evm.id) : fetchAlchemyTokens(evm.net, address, evm.id);
+};
+
+// Chains scanned for each wallet family stored in cl_wallets
+const WALLET_CHAINS = {
+  evm: [...evmChains.map(c => c.id), 'monad'],
+  solana: ['solana'],
+  cardano: ['cardano']
+};
+
+const PORTFOLIO_CONCURRENCY = Number(process.env.PORTFOLIO_CONCURRENCY) || 4;
+const SCAN_TIMEOUT_MS = 45 * 1000;
+const PORTFOLIO_CACHE_TTL_MS = 2 * 60 * 1000;
+
+// Portfolio totals leave out hidden / spam assets, so cached portfolios are keyed on a version
+// the asset-flag routes bump. It only has to outlive the portfolios cached under it.
+const assetFlagsVersion = async (userId) => (await cacheGet(`asset-flags-version:${userId}`)) || 0;
+const bumpAssetFlagsVersion = (userId) => cacheSet(`asset-flags-version:${userId}`, Date.now(), PORTFOLIO_CACHE_TTL_MS);
+
+// Wallets that would scan the same holdings share a key: EVM case variants, and Cardano
+// addresses on one stake key (the Cardano scanner already covers the whole stake account)
+const portfolioWalletKey = (wallet) => {
+  if (wallet.chain === 'cardano') {
+    try {
+      const { bytes } = bech32Decode(wallet.address);
+      const type = bytes[0] >> 4;
+      if (type <= 3 && bytes.length >= 57) return `stake:${bytes.slice(29, 57).toString('hex')}`;
+      if (type === 14 || type === 15) return `stake:${bytes.slice(1, 29).toString('hex')}`;
+    } catch (e) { /* $handles and enterprise addresses key on the address itself */ }
+  }
+  return `${wallet.chain}:${walletKey(wallet.address)}`;
+};
+
+const emptyTotals = () => ({ usd: 0, tokens: 0, nfts: 0 });
+const roundTotals = (t) => ({ ...t, usd: Math.round(t.usd * 100) / 100 });
+
+app.get('/api/profile/portfolio', requireAuth, async (req, res) => {
+  if (!supabase) return res.status(503).json({ error: 'Supabase not configured' });
+
+  const requested = String(req.query.modes || 'tokens,nfts').split(',');
+  // NFTs first, matching the client scan: a token with the same key as an NFT is skipped
+  const modes = ['nfts', 'tokens'].filter(m => requested.includes(m));
+  if (!modes.length) return res.status(400).json({ error: 'modes must include tokens and/or nfts' });
+  const chainFilter = req.query.chains ? new Set(String(req.query.chains).toLowerCase().split(',')) : null;
+
+  const flagsVersion = await assetFlagsVersion(req.user.sub);
+  const cacheKey = `portfolio:${req.user.sub}:${flagsVersion}:${modes.join(',')}:${chainFilter ? [...chainFilter].sort().join(',') : '*'}`;
+  if (req.query.refresh !== '1') {
+    const cached = await cacheGet(cacheKey);
+    if (cached) return res.json({ ...cached, cached: true });
+  }
+
+  let wallets, flags;
+  try {
+    const [walletResult, assetFlags] = await Promise.all([
+      supabase.from('cl_wallets').select('id, chain, address, label, is_primary').eq('user_id', req.user.sub),
+      dbGetAssetFlags(req.user.sub)
+    ]);
+    if (walletResult.error) throw new Error(walletResult.error.message);
+    wallets = walletResult.data || [];
+    flags = assetFlags;
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+  const excluded = new Set([...flags.hidden, ...flags.spam]);
+
+  // One job per unique wallet × chain × mode
+  const summaries = wallets.map(w => ({
+    id: w.id, chain: w.chain, address: w.address, label: w.label, is_primary: w.is_primary,
+    totals: emptyTotals(), chains: {}, errors: []
+  }));
+  const owners = new Map();
+  const jobs = [];
+  for (const wallet of summaries) {
+    const key = portfolioWalletKey(wallet);
+    if (owners.has(key)) { wallet.duplicate_of = owners.get(key).id; continue; }
+    owners.set(key, wallet);
+    const chains = (WALLET_CHAINS[wallet.chain] || []).filter(c => !chainFilter || chainFilter.has(c));
+    for (const mode of modes) for (const chain of chains) jobs.push({ wallet, chain, mode });
+  }
+
+  console.log(`📦 Portfolio scan for ${req.user.sub}: ${owners.size} wallet(s), ${jobs.length} job(s)`);
+  const results = await mapWithConcurrency(jobs, PORTFOLIO_CONCURRENCY, async (job) => {
+    try {
+      const assets = await withTimeout(scanAssets(job.chain, job.mode, job.wallet.address), SCAN_TIMEOUT_MS, `${job.chain} ${job.mode}`);
+      return { ...job, assets: Array.isArray(assets) ? assets : [] };
+    } catch (e) {
+      return { ...job, error: e.message };
+    }
+  });
+
+  const chainTotals = {};
+  const total = emptyTotals();
+  const merged = new Map();
+  const seenPerWallet = new Map();
+  const add = (bucket, isToken, usd) => {
+    bucket.usd += usd;
+    if (isToken) bucket.tokens++; else bucket.nfts++;
+  };
+
+  for (const { wallet, chain, mode, assets, error } of results) {
+    if (error) { wallet.errors.push({ chain, mode, error }); continue; }
+    const seen = seenPerWallet.get(wallet) || new Set();
+    seenPerWallet.set(wallet, seen);
+
+    for (const raw of assets) {
+      const asset = { ...raw, chain: raw.chain || chain, isToken: mode === 'tokens' };
+      const key = assetKey(asset);
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      const isExcluded = excluded.has(key);
+      const usd = parseFloat(asset.totalValue) || 0;
+      if (!isExcluded) {
+        add(wallet.totals, asset.isToken, usd);
+        add(wallet.chains[chain] = wallet.chains[chain] || emptyTotals(), asset.isToken, usd);
+        add(chainTotals[chain] = chainTotals[chain] || emptyTotals(), asset.isToken, usd);
+        add(total, asset.isToken, usd);
+      }
+
+      // The same asset held by several wallets collapses into one entry with per-wallet holdings
+      const holding = {
+        wallet_id: wallet.id, address: wallet.address, balance: asset.balance, totalValue: asset.totalValue,
+        ...(asset.rawBalance !== undefined && { rawBalance: asset.rawBalance, balanceExact: asset.balanceExact })
+      };
+      const entry = merged.get(key);
+      if (!entry) {
+        merged.set(key, { ...asset, hidden: isExcluded, holdings: [holding] });
+        continue;
+      }
+      entry.holdings.push(holding);
+      if (asset.isToken) {
+        if (entry.rawBalance !== undefined && asset.rawBalance !== undefined && entry.decimals === asset.decimals) {
+          Object.assign(entry, exactAmount(toRawAmount(entry.rawBalance) + toRawAmount(asset.rawBalance), entry.decimals));
+          entry.balance = Number(entry.balanceExact).toFixed(4);
+        } else {
+          entry.balance = ((parseFloat(entry.balance) || 0) + (parseFloat(asset.balance) || 0)).toFixed(4);
+        }
+        entry.totalValue = ((parseFloat(entry.totalValue) || 0) + usd).toFixed(2);
+      }
+    }
+  }
+
+  for (const wallet of summaries) {
+    wallet.totals = roundTotals(wallet.totals);
+    for (const chain of Object.keys(wallet.chains)) wallet.chains[chain] = roundTotals(wallet.chains[chain]);
+  }
+  for (const chain of Object.keys(chainTotals)) chainTotals[chain] = roundTotals(chainTotals[chain]);
+
+  const payload = {
+    wallets: summaries,
+    chains: chainTotals,
+    total: { ...roundTotals(total), wallets: owners.size },
+    assets: [...merged.values()],
+    scanned_at: new Date().toISOString()
+  };
+  await cacheSet(cacheKey, payload, PORTFOLIO_CACHE_TTL_MS);
+  res.json(payload);
+});
+
+// --- Streaming scan (Server-Sent Events) ---
+// GET /api/scan/stream?evm=0x…&sol=…&ada=…&chains=ethereum,solana&modes=nfts,tokens
+// Events: `start` (the job list), then `result` or `chain_error` for each chain × mode as it
+// settles, then `done` with per-chain totals. EVM/SNS names must be resolved by the caller;
+// Cardano $handles are resolved by the scanner. One address per wallet family; jobs run
+// PORTFOLIO_CONCURRENCY at a time and stop being started once the client disconnects.
+const SSE_HEARTBEAT_MS = 15 * 1000;
+
+app.get('/api/scan/stream', async (req, res) => {
+  const params = { evm: req.query.evm, solana: req.query.sol, cardano: req.query.ada };
+  if (Object.values(params).some(v => Array.isArray(v) || String(v || '').includes(',')))
+    return res.status(400).json({ error: 'One address per chain family' });
+  const addresses = Object.fromEntries(Object.entries(params).map(([family, v]) => [family, String(v || '').trim()]));
+  const requested = String(req.query.modes || 'nfts,tokens').split(',');
+  const modes = ['nfts', 'tokens'].filter(m => requested.includes(m));
+  if (!modes.length) return res.status(400).json({ error: 'modes must include tokens and/or nfts' });
+  const chainFilter = req.query.chains ? new Set(String(req.query.chains).toLowerCase().split(',')) : null;
+
+  const jobs = [];
+  for (const [family, address] of Object.entries(addresses)) {
+    if (!address) continue;
+    for (const chain of WALLET_CHAINS[family].filter(c => !chainFilter || chainFilter.has(c))) {
+      for (const mode of modes) jobs.push({ chain, mode, address });
+    }
+  }
+  if (!jobs.length) return res.status(400).json({ error: 'Nothing to scan — provide an address for at least one selected chain' });
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  let closed = false;
+  const send = (event, data) => {
+    if (!closed) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  const heartbeat = setInterval(() => { if (!closed) res.write(': ping\n\n'); }, SSE_HEARTBEAT_MS);
+  res.on('close', () => { closed = true; clearInterval(heartbeat); });
+
+  const started = Date.now();
+  send('start', { jobs: jobs.map(({ chain, mode }) => ({ chain, mode })) });
+
+  const chains = {};
+  await mapWithConcurrency(jobs, PORTFOLIO_CONCURRENCY, async ({ chain, mode, address }) => {
+    if (closed) return; // nobody is listening any more — don't start another upstream scan
+    const summary = chains[chain] = chains[chain] || { ...emptyTotals(), errors: [] };
+    try {
+      const result = await withTimeout(scanAssets(chain, mode, address), SCAN_TIMEOUT_MS, `${chain} ${mode}`);
+      const assets = Array.isArray(result) ? result : [];
+      summary[mode] += assets.length;
+      summary.usd += assets.reduce((sum, a) => sum + (parseFloat(a.totalValue) || 0), 0);
+      send('result', { chain, mode, address, assets });
+    } catch (e) {
+      summary.errors.push({ mode, error: e.message });
+      send('chain_error', { chain, mode, address, error: e.message, status: e.status || 500 });
+    }
+  });
+  if (closed) return;
+
+  const total = emptyTotals();
+  for (const chain of Object.keys(chains)) {
+    chains[chain] = roundTotals(chains[chain]);
+    total.usd += chains[chain].usd;
+    total.tokens += chains[chain].tokens;
+    total.nfts += chains[chain].nfts;
+  }
+  send('done', {
+    chains,
+    total: roundTotals(total),
+    failed: Object.values(chains).reduce((n, c) => n + c.errors.length, 0),
+    duration_ms: Date.now() - started
+  });
+  clearInterval(heartbeat);
+  res.end();
 });
 
 // --- DIA Market Data Routes ---
@@ -1704,20 +3859,20 @@ app.get('/api/market/top100', async (req, res) => {
 });
 
 // Enhanced search with Kraken and Gemini fallback
-// 10-minute search cache
-const _searchCache = {};
+// 10-minute search cache (search:<query> in the shared store)
 
 app.get('/api/market/search/:query', async (req, res) => {
   const query = req.params.query.trim();
   const cacheKey = query.toLowerCase();
   console.log(`🔍 Search: "${query}"`);
 
-  if (_searchCache[cacheKey] && Date.now() - _searchCache[cacheKey].ts < 600000) {
+  const cached = await cacheGet(`search:${cacheKey}`);
+  if (cached) {
     console.log(`  📦 Cache hit: "${query}"`);
-    return res.json(_searchCache[cacheKey].data);
+    return res.json(cached);
   }
 
-  const save = (data) => { _searchCache[cacheKey] = { data, ts: Date.now() }; return data; };
+  const save = (data) => { cacheSet(`search:${cacheKey}`, data, 600000); return data; };
   const sleep = (ms) => new Promise(r => setTimeout(r, ms));
 
   // Step 1: CoinGecko /search — get slug, name, image, rank (high rate limit endpoint)
@@ -2064,6 +4219,219 @@ app.get('/api/market/chart/:coinIdOrSymbol', async (req, res) => {
   }
 });
 
+// --- Transaction decoding ---
+// History entries carry an `action`: { kind, method, protocol, summary }. kind is one of
+// swap | approve | mint | burn | bridge | transfer | contract_call on every chain.
+
+// Bundled 4-byte selectors → [signature, kind, protocol?]. Extra or corrected entries come from
+// FUNCTION_SELECTORS (JSON), e.g. {"0x4e71d92d":"claim()"} or {"0x4e71d92d":{"signature":"claim()","kind":"mint"}}
+const BUILTIN_FUNCTION_SELECTORS = {
+  '0xa9059cbb': ['transfer(address,uint256)', 'transfer'],
+  '0x23b872dd': ['transferFrom(address,address,uint256)', 'transfer'],
+  '0x42842e0e': ['safeTransferFrom(address,address,uint256)', 'transfer'],
+  '0xb88d4fde': ['safeTransferFrom(address,address,uint256,bytes)', 'transfer'],
+  '0xf242432a': ['safeTransferFrom(address,address,uint256,uint256,bytes)', 'transfer'],
+  '0x2eb2c2d6': ['safeBatchTransferFrom(address,address,uint256[],uint256[],bytes)', 'transfer'],
+  '0x095ea7b3': ['approve(address,uint256)', 'approve'],
+  '0x39509351': ['increaseAllowance(address,uint256)', 'approve'],
+  '0xa22cb465': ['setApprovalForAll(address,bool)', 'approve'],
+  '0x7ff36ab5': ['swapExactETHForTokens(uint256,address[],address,uint256)', 'swap'],
+  '0x18cbafe5': ['swapExactTokensForETH(uint256,uint256,address[],address,uint256)', 'swap'],
+  '0x38ed1739': ['swapExactTokensForTokens(uint256,uint256,address[],address,uint256)', 'swap'],
+  '0x8803dbee': ['swapTokensForExactTokens(uint256,uint256,address[],address,uint256)', 'swap'],
+  '0xfb3bdb41': ['swapETHForExactTokens(uint256,address[],address,uint256)', 'swap'],
+  '0x4a25d94a': ['swapTokensForExactETH(uint256,uint256,address[],address,uint256)', 'swap'],
+  '0x5c11d795': ['swapExactTokensForTokensSupportingFeeOnTransferTokens(uint256,uint256,address[],address,uint256)', 'swap'],
+  '0xb6f9de95': ['swapExactETHForTokensSupportingFeeOnTransferTokens(uint256,address[],address,uint256)', 'swap'],
+  '0x791ac947': ['swapExactTokensForETHSupportingFeeOnTransferTokens(uint256,uint256,address[],address,uint256)', 'swap'],
+  '0x414bf389': ['exactInputSingle((address,address,uint24,address,uint256,uint256,uint256,uint160))', 'swap', 'Uniswap V3'],
+  '0xc04b8d59': ['exactInput((bytes,address,uint256,uint256,uint256))', 'swap', 'Uniswap V3'],
+  '0xdb3e2198': ['exactOutputSingle((address,address,uint24,address,uint256,uint256,uint256,uint160))', 'swap', 'Uniswap V3'],
+  '0xf28c0498': ['exactOutput((bytes,address,uint256,uint256,uint256))', 'swap', 'Uniswap V3'],
+  '0x04e45aaf': ['exactInputSingle((address,address,uint24,address,uint256,uint256,uint160))', 'swap', 'Uniswap V3'],
+  '0xb858183f': ['exactInput((bytes,address,uint256,uint256))', 'swap', 'Uniswap V3'],
+  '0x5023b4df': ['exactOutputSingle((address,address,uint24,address,uint256,uint256,uint160))', 'swap', 'Uniswap V3'],
+  '0x09b81346': ['exactOutput((bytes,address,uint256,uint256))', 'swap', 'Uniswap V3'],
+  '0x3593564c': ['execute(bytes,bytes[],uint256)', 'swap', 'Uniswap'],
+  '0x24856bc3': ['execute(bytes,bytes[])', 'swap', 'Uniswap'],
+  '0x12aa3caf': ['swap(address,(address,address,address,address,uint256,uint256,uint256),bytes,bytes)', 'swap', '1inch'],
+  '0x0502b1c5': ['unoswap(address,uint256,uint256,uint256[])', 'swap', '1inch'],
+  '0xe449022e': ['uniswapV3Swap(uint256,uint256,uint256[])', 'swap', '1inch'],
+  '0x07ed2379': ['swap(address,(address,address,address,address,uint256,uint256,uint256),bytes)', 'swap', '1inch'],
+  '0x415565b0': ['transformERC20(address,address,uint256,uint256,(uint32,bytes)[])', 'swap', '0x'],
+  '0xd0e30db0': ['deposit()', 'contract_call'],
+  '0x2e1a7d4d': ['withdraw(uint256)', 'contract_call'],
+  '0x1249c58b': ['mint()', 'mint'],
+  '0xa0712d68': ['mint(uint256)', 'mint'],
+  '0x40c10f19': ['mint(address,uint256)', 'mint'],
+  '0x6a627842': ['mint(address)', 'mint'],
+  '0x42966c68': ['burn(uint256)', 'burn'],
+  '0xfb0f3ee1': ['fulfillBasicOrder((address,uint256,uint256,address,address,address,uint256,uint256,uint8,uint256,uint256,bytes32,uint256,bytes32,bytes32,uint256,(uint256,address)[],bytes))', 'swap', 'Seaport'],
+  '0x00000000': ['fulfillBasicOrder_efficient_6GL6yc((address,uint256,uint256,address,address,address,uint256,uint256,uint8,uint256,uint256,bytes32,uint256,bytes32,bytes32,uint256,(uint256,address)[],bytes))', 'swap', 'Seaport'],
+  '0xb3a34c4c': ['fulfillOrder(((address,address,(uint8,address,uint256,uint256,uint256)[],(uint8,address,uint256,uint256,uint256,address)[],uint8,uint256,uint256,bytes32,uint256,bytes32,uint256),bytes),bytes32)', 'swap', 'Seaport'],
+  '0xe7acab24': ['fulfillAdvancedOrder(((address,address,(uint8,address,uint256,uint256,uint256)[],(uint8,address,uint256,uint256,uint256,address)[],uint8,uint256,uint256,bytes32,uint256,bytes32,uint256),uint120,uint120,bytes,bytes),(uint256,uint8,uint256,uint256,bytes32[])[],bytes32,address)', 'swap', 'Seaport'],
+  '0x617ba037': ['supply(address,uint256,address,uint16)', 'contract_call', 'Aave'],
+  '0x69328dec': ['withdraw(address,uint256,address)', 'contract_call', 'Aave'],
+  '0xa415bcad': ['borrow(address,uint256,uint256,uint16,address)', 'contract_call', 'Aave'],
+  '0x573ade81': ['repay(address,uint256,uint256,address)', 'contract_call', 'Aave'],
+  '0xb1a1a882': ['depositETH(uint32,bytes)', 'bridge', 'OP Stack bridge'],
+  '0x9a2ac6d5': ['depositETHTo(address,uint32,bytes)', 'bridge', 'OP Stack bridge'],
+  '0x58a997f6': ['depositERC20(address,address,uint256,uint32,bytes)', 'bridge', 'OP Stack bridge'],
+  '0x838b2520': ['depositERC20To(address,address,address,uint256,uint32,bytes)', 'bridge', 'OP Stack bridge'],
+  '0x09fc8843': ['bridgeETH(uint32,bytes)', 'bridge', 'OP Stack bridge'],
+  '0xe11013dd': ['bridgeETHTo(address,uint32,bytes)', 'bridge', 'OP Stack bridge'],
+  '0x32b7006d': ['withdraw(address,uint256,uint32,bytes)', 'bridge', 'OP Stack bridge'],
+  '0xa3a79548': ['withdrawTo(address,address,uint256,uint32,bytes)', 'bridge', 'OP Stack bridge'],
+  '0x439370b1': ['depositEth()', 'bridge', 'Arbitrum bridge'],
+  '0xd2ce7d65': ['outboundTransfer(address,address,uint256,uint256,uint256,bytes)', 'bridge', 'Arbitrum bridge'],
+  '0x25e16063': ['withdrawEth(address)', 'bridge', 'Arbitrum bridge'],
+  '0x7b939232': ['depositV3(address,address,address,address,uint256,uint256,uint256,address,uint32,uint32,uint32,bytes)', 'bridge', 'Across'],
+  '0x9fbf10fc': ['swap(uint16,uint256,uint256,address,uint256,uint256,(uint256,uint256,bytes),bytes,bytes)', 'bridge', 'Stargate'],
+};
+
+let customFunctionSelectors = {};
+try { customFunctionSelectors = JSON.parse(process.env.FUNCTION_SELECTORS || '{}'); }
+catch (e) { console.warn('⚠️  FUNCTION_SELECTORS is not valid JSON — using the bundled selector table only'); }
+
+const FUNCTION_SELECTORS = Object.fromEntries(
+  [...Object.entries(BUILTIN_FUNCTION_SELECTORS).map(([selector, [signature, kind, protocol]]) => [selector, { signature, kind, protocol }]),
+   ...Object.entries(customFunctionSelectors).map(([selector, entry]) => [selector.toLowerCase(),
+     typeof entry === 'string' ? { signature: entry, kind: 'contract_call' } : { kind: 'contract_call', ...entry }])]
+);
+
+const UNLIMITED_ALLOWANCE = 2n ** 255n; // anything this large is an "infinite" approval in practice
+const TOKEN_META_TTL_MS = 24 * 60 * 60 * 1000;
+
+// ERC-20 symbol / name / decimals via Alchemy, cached per chain + contract; failures aren't cached
+const fetchEvmTokenMetadata = async (baseUrl, chainId, contract) => {
+  const key = `token-meta:${chainId}:${contract.toLowerCase()}`;
+  const cached = await cacheGet(key);
+  if (cached !== null) return cached;
+  try {
+    const r = await fetch(baseUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'alchemy_getTokenMetadata', params: [contract] })
+    });
+    const d = await r.json();
+    if (!d.result) return null;
+    const { symbol = null, name = null, decimals = null, logo = null } = d.result;
+    return cacheSet(key, { symbol, name, decimals, logo }, TOKEN_META_TTL_MS);
+  } catch { return null; }
+};
+
+// Target and calldata of each hash, one batched JSON-RPC request per 50
+const fetchEvmTxCalls = async (baseUrl, hashes) => {
+  const calls = new Map();
+  for (let i = 0; i < hashes.length; i += 50) {
+    const batch = hashes.slice(i, i + 50).map((hash, id) => ({ jsonrpc: '2.0', id, method: 'eth_getTransactionByHash', params: [hash] }));
+    try {
+      const r = await fetch(baseUrl, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(batch) });
+      for (const item of [].concat(await r.json())) {
+        const tx = item?.result;
+        if (tx?.hash) calls.set(tx.hash, { to: tx.to?.toLowerCase() || null, input: tx.input || '0x' });
+      }
+    } catch (e) { console.warn(`  ⚠️ Transaction input lookup failed:`, e.message); }
+  }
+  return calls;
+};
+
+const shortAddress = (a) => (a && a.length > 12 ? `${a.slice(0, 6)}…${a.slice(-4)}` : a || 'unknown');
+const formatLegAmount = (leg) => {
+  if (leg.isNft) return `${Number(leg.quantity) > 1 ? `${leg.quantity}× ` : ''}${leg.collection || 'NFT'} #${leg.tokenId.length > 10 ? `${leg.tokenId.slice(0, 8)}…` : leg.tokenId}`;
+  return `${Number(Number(leg.value).toPrecision(6))} ${leg.asset}`;
+};
+const listLegs = (legs) => legs.map(formatLegAmount).join(' + ');
+
+// Human summary for a normalized action from its transfer legs (types as in evmLegType)
+const summarizeAction = (kind, { legs = [], method = null, protocol = null, target = null, approval = null }) => {
+  const out = legs.filter(l => l.type === 'sent' || l.type === 'burn');
+  const inn = legs.filter(l => l.type === 'received' || l.type === 'mint');
+  const via = protocol ? ` on ${protocol}` : '';
+  switch (kind) {
+    case 'approve':
+      if (!approval) return `Approval${via}`;
+      if (approval.forAll !== undefined) return `${approval.forAll ? 'Approved' : 'Revoked'} ${shortAddress(approval.spender)} for all ${approval.token}`;
+      if (approval.amount === 0n) return `Revoked ${shortAddress(approval.spender)}'s ${approval.token} allowance`;
+      // increaseAllowance only carries the increment, not the resulting allowance
+      if (approval.increase) return `Increased ${shortAddress(approval.spender)}'s ${approval.token} allowance by ${approval.unlimited ? 'an unlimited amount' : approval.display}`;
+      return `Approved ${shortAddress(approval.spender)} to spend ${approval.unlimited ? 'unlimited' : approval.display} ${approval.token}`;
+    case 'swap':
+      if (out.length && inn.length) return `Swapped ${listLegs(out)} for ${listLegs(inn)}${via}`;
+      return `Swap${via}${out.length ? `: ${listLegs(out)}` : inn.length ? `: ${listLegs(inn)}` : ''}`;
+    case 'mint': return `Minted ${inn.length ? listLegs(inn) : 'tokens'}${out.length ? ` for ${listLegs(out)}` : ''}`;
+    case 'burn': return `Burned ${out.length ? listLegs(out) : 'tokens'}`;
+    case 'bridge': return `Bridged ${out.length ? listLegs(out) : inn.length ? listLegs(inn) : 'funds'}${protocol ? ` via ${protocol}` : ''}`;
+    case 'transfer':
+      if (out.length) return `Sent ${listLegs(out)} to ${shortAddress(out[0].to)}`;
+      if (inn.length) return `Received ${listLegs(inn)} from ${shortAddress(inn[0].from)}`;
+      return 'Self transfer';
+    default:
+      return `Called ${method || 'contract'}${target ? ` on ${shortAddress(target)}` : ''}${via}${out.length ? ` with ${listLegs(out)}` : ''}`;
+  }
+};
+
+// Headline leg and display type for a transaction's legs: value moving both ways reads as a
+// swap, led by what came in
+const legsHeadline = (legs) => {
+  const outgoing = legs.some(l => l.type === 'sent' || l.type === 'burn');
+  const incoming = legs.find(l => l.type === 'received' || l.type === 'mint');
+  if (outgoing && incoming) return { type: 'swap', primary: incoming };
+  return { type: legs[0].type, primary: legs[0] };
+};
+
+// Action for one EVM transaction: the called selector decides approvals and bridges, the
+// transfer legs decide mints and swaps, then the selector's own kind, then plain transfers.
+// `call` is only known for transactions the wallet sent itself.
+const decodeEvmAction = async ({ legs, call, baseUrl, chainId }) => {
+  const selector = call?.input?.length >= 10 ? call.input.slice(0, 10).toLowerCase() : null;
+  const known = selector ? FUNCTION_SELECTORS[selector] : null;
+  const method = known ? known.signature.split('(')[0] : selector;
+  const protocol = known?.protocol || null;
+  const outgoing = legs.some(l => l.type === 'sent' || l.type === 'burn');
+  const incoming = legs.some(l => l.type === 'received' || l.type === 'mint');
+
+  let kind;
+  if (known && (known.kind === 'approve' || known.kind === 'bridge')) kind = known.kind;
+  else if (legs.some(l => l.type === 'mint')) kind = 'mint';
+  else if (outgoing && incoming) kind = 'swap';
+  else if (known) kind = known.kind;
+  else if (legs.some(l => l.type === 'burn')) kind = 'burn';
+  else if (selector) kind = 'contract_call';
+  else kind = 'transfer';
+
+  let approval = null;
+  if (kind === 'approve' && call.input.length >= 138) {
+    const spender = `0x${call.input.slice(34, 74)}`;
+    const word = BigInt(`0x${call.input.slice(74, 138)}`);
+    const meta = await fetchEvmTokenMetadata(baseUrl, chainId, call.to);
+    const token = meta?.symbol || meta?.name || shortAddress(call.to);
+    if (known.signature.startsWith('setApprovalForAll')) approval = { spender, token, forAll: word !== 0n };
+    else {
+      const display = meta?.decimals != null ? formatUnitsExact(word, meta.decimals) : word.toString();
+      approval = { spender, token, amount: word, unlimited: word >= UNLIMITED_ALLOWANCE, display, increase: known.signature.startsWith('increaseAllowance') };
+    }
+  }
+  return { kind, method, protocol, summary: summarizeAction(kind, { legs, method, protocol, target: call?.to, approval }) };
+};
+
+// Helius enhanced-transaction `type` → action kind; `source` names the program / marketplace
+const HELIUS_ACTION_KINDS = {
+  SWAP: 'swap', NFT_SALE: 'swap', NFT_MINT: 'mint', TOKEN_MINT: 'mint', COMPRESSED_NFT_MINT: 'mint',
+  BURN: 'burn', BURN_NFT: 'burn', COMPRESSED_NFT_BURN: 'burn', TRANSFER: 'transfer', COMPRESSED_NFT_TRANSFER: 'transfer',
+};
+const SOLANA_BRIDGE_SOURCES = new Set(['WORMHOLE', 'DEBRIDGE', 'ALLBRIDGE', 'MAYAN']);
+
+const solanaAction = (tx, legs) => {
+  const type = tx.type || 'UNKNOWN';
+  const source = tx.source && tx.source !== 'UNKNOWN' ? tx.source : null;
+  const kind = SOLANA_BRIDGE_SOURCES.has(source) ? 'bridge'
+    : HELIUS_ACTION_KINDS[type] || (type === 'UNKNOWN' && !source ? 'transfer' : 'contract_call');
+  const method = type !== 'UNKNOWN' ? type.toLowerCase() : null;
+  const protocol = source ? source.split('_').map(w => w[0] + w.slice(1).toLowerCase()).join(' ') : null;
+  return { kind, method, protocol, summary: tx.description || summarizeAction(kind, { legs, method, protocol }) };
+};
+
 // --- Transaction History Routes ---
 console.log('🔧 Setting up transaction history routes...');
 
@@ -2077,7 +4445,92 @@ const nativeCurrencies = {
   'solana': 'SOL', 'cardano': 'ADA'
 };
 
-// EVM chains transaction history using Alchemy - OPTIMIZED BLOCK TIMESTAMPS
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+const NFT_TRANSFER_CATEGORIES = new Set(['erc721', 'erc1155']);
+const NFT_CONTRACT_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Collection name for an NFT contract via Alchemy's NFT API; failures aren't cached
+const fetchNftCollectionName = async (network, chainId, contract) => {
+  const key = `nft-contract:${chainId}:${contract.toLowerCase()}`;
+  const cached = await cacheGet(key);
+  if (cached !== null) return cached;
+  try {
+    const r = await fetch(`https://${network}.g.alchemy.com/nft/v3/${API_KEYS.alchemy}/getContractMetadata?contractAddress=${contract}`);
+    if (!r.ok) return null;
+    const d = await r.json();
+    return cacheSet(key, d.openSeaMetadata?.collectionName || d.name || d.symbol || '', NFT_CONTRACT_TTL_MS);
+  } catch { return null; }
+};
+
+// One history entry per token moved — an ERC-1155 batch carries several (tokenId, value) pairs
+const expandNftTransfer = (tx) => {
+  if (tx.category === 'erc1155') {
+    return (tx.erc1155Metadata || []).map(m => ({ ...tx, tokenId: toRawAmount(m.tokenId).toString(), quantity: toRawAmount(m.value).toString() }));
+  }
+  if (tx.category === 'erc721') return [{ ...tx, tokenId: toRawAmount(tx.erc721TokenId ?? tx.tokenId).toString(), quantity: '1' }];
+  return [tx];
+};
+
+// EVM chains transaction history using Alchemy. Sent and received transfers are paged
+// newest-first (following pageKey) until each side has a full page, then merged by hash.
+// ?limit= (max 200) and ?cursor= (a block number — the next page starts at or below it).
+const EVM_TX_PAGE_DEFAULT = 50;
+const EVM_TX_PAGE_MAX = 200;
+const EVM_TX_MAX_REQUESTS = 10; // pageKey follow-ups per direction per request
+const EVM_TX_CATEGORIES = ['external', 'internal', 'erc20', 'erc721', 'erc1155'];
+
+// One direction ({ fromAddress } or { toAddress }) at or below `toBlock`, until `want`
+// distinct hashes are in hand or Alchemy runs out
+const fetchEvmTransfers = async (baseUrl, direction, toBlock, want) => {
+  const transfers = [];
+  const hashes = new Set();
+  let pageKey;
+  for (let i = 0; i < EVM_TX_MAX_REQUESTS; i++) {
+    const r = await fetch(baseUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        jsonrpc: '2.0',
+        id: 1,
+        method: 'alchemy_getAssetTransfers',
+        params: [{
+          fromBlock: '0x0',
+          toBlock,
+          ...direction,
+          category: EVM_TX_CATEGORIES,
+          withMetadata: true,
+          // Zero-value calls the wallet made (approvals, contract calls) matter; zero-value
+          // transfers *to* it are almost always address-poisoning spam
+          excludeZeroValue: !direction.fromAddress,
+          maxCount: '0x64',
+          order: 'desc',
+          ...(pageKey && { pageKey })
+        }]
+      })
+    });
+    const data = await r.json();
+    if (data.error) throw Object.assign(new Error(`Alchemy: ${data.error.message}`), { status: 502 });
+    for (const tx of data.result?.transfers || []) {
+      transfers.push(tx);
+      hashes.add(tx.hash);
+    }
+    pageKey = data.result?.pageKey;
+    if (!pageKey) return { transfers, exhausted: true };
+    if (hashes.size > want) break;
+  }
+  return { transfers, exhausted: false };
+};
+
+// Direction of one transfer leg relative to the wallet; zero-address legs are mints / burns
+const evmLegType = (tx, address) => {
+  const from = tx.from?.toLowerCase();
+  const to = tx.to?.toLowerCase();
+  if (from === ZERO_ADDRESS) return 'mint';
+  if (to === ZERO_ADDRESS) return 'burn';
+  if (from === address && to === address) return 'self';
+  return from === address ? 'sent' : 'received';
+};
+
 console.log(`🔗 Setting up transaction routes for ${evmChains.length} EVM chains:`, evmChains.map(c => c.id).join(', '));
 
 evmChains.forEach(chain => {
@@ -2085,121 +4538,117 @@ evmChains.forEach(chain => {
   
   app.get(`/api/transactions/${chain.id}/:address`, async (req, res) => {
     const { address } = req.params;
+    const owner = address.toLowerCase();
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || EVM_TX_PAGE_DEFAULT, 1), EVM_TX_PAGE_MAX);
+    const toBlock = /^\d+$/.test(req.query.cursor || '') ? `0x${BigInt(req.query.cursor).toString(16)}` : 'latest';
     console.log(`📜 Fetching ${chain.id} transactions for: ${address}`);
     
     try {
       const baseUrl = `https://${chain.net}.g.alchemy.com/v2/${API_KEYS.alchemy}`;
-      
-      // Get sent transactions
-      const sentRes = await fetch(baseUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          jsonrpc: '2.0',
-          id: 1,
-          method: 'alchemy_getAssetTransfers',
-          params: [{
-            fromBlock: '0x0',
-            toBlock: 'latest',
-            fromAddress: address,
-            category: ['external', 'internal', 'erc20'],
-            maxCount: '0x32',
-            order: 'desc'
-          }]
-        })
-      });
-      
-      const sentData = await sentRes.json();
-      
-      // Get received transactions
-      const receivedRes = await fetch(baseUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          jsonrpc: '2.0',
-          id: 2,
-          method: 'alchemy_getAssetTransfers',
-          params: [{
-            fromBlock: '0x0',
-            toBlock: 'latest',
-            toAddress: address,
-            category: ['external', 'internal', 'erc20'],
-            maxCount: '0x32',
-            order: 'desc'
-          }]
-        })
+      const [sent, received] = await Promise.all([
+        fetchEvmTransfers(baseUrl, { fromAddress: address }, toBlock, limit),
+        fetchEvmTransfers(baseUrl, { toAddress: address }, toBlock, limit)
+      ]);
+
+      // A side that stopped early may hold more transfers in its oldest block, so only blocks
+      // above that are complete. If one block alone fills the page only that block is served
+      // (the other side wasn't fetched below it) and the cursor resumes just under it.
+      const blockOf = (tx) => parseInt(tx.blockNum, 16);
+      const boundary = Math.max(-1, ...[sent, received]
+        .filter(side => !side.exhausted && side.transfers.length)
+        .map(side => blockOf(side.transfers[side.transfers.length - 1])));
+      const fetched = [...sent.transfers, ...received.transfers].filter(tx => tx.blockNum);
+      const complete = fetched.filter(tx => blockOf(tx) > boundary);
+
+      // Self-transfers come back on both sides; uniqueId tells the copies apart from real legs
+      const unique = new Map();
+      for (const tx of complete.length ? complete : fetched.filter(tx => blockOf(tx) === boundary)) unique.set(tx.uniqueId || `${tx.hash}:${tx.category}:${tx.from}:${tx.to}:${tx.value}`, tx);
+      const sentByWallet = (tx) => tx.category === 'external' && tx.from?.toLowerCase() === owner;
+      const hasValue = (tx) => NFT_TRANSFER_CATEGORIES.has(tx.category) || (tx.value && parseFloat(tx.value) > 0);
+      const transfers = [...unique.values()]
+        .flatMap(expandNftTransfer)
+        .filter(tx => hasValue(tx) || sentByWallet(tx));
+
+      // Collection names for the NFT contracts involved
+      const nftContracts = [...new Set(transfers
+        .filter(tx => NFT_TRANSFER_CATEGORIES.has(tx.category) && tx.rawContract?.address)
+        .map(tx => tx.rawContract.address.toLowerCase()))];
+      const collections = new Map();
+      await mapWithConcurrency(nftContracts, 5, async (contract) => {
+        collections.set(contract, await fetchNftCollectionName(chain.net, chain.id, contract));
       });
-      
-      const receivedData = await receivedRes.json();
-      
-      // Combine all transfers
-      const allTransfers = [
-        ...(sentData.result?.transfers || []).map(tx => ({ ...tx, type: 'sent' })),
-        ...(receivedData.result?.transfers || []).map(tx => ({ 
-          ...tx, 
-          type: tx.from.toLowerCase() === address.toLowerCase() ? 'self' : 'received' 
-        }))
-      ].filter(tx => tx.value && parseFloat(tx.value) > 0 && tx.blockNum);
-      
-      // Get unique block numbers
-      const uniqueBlocks = [...new Set(allTransfers.map(tx => tx.blockNum))];
-      console.log(`📦 ${chain.id}: Fetching ${uniqueBlocks.length} unique blocks for ${allTransfers.length} transactions`);
-      
-      // Batch fetch all unique blocks (much more efficient!)
-      const blockTimestamps = {};
-      await Promise.all(
-        uniqueBlocks.slice(0, 30).map(async (blockNum) => {
-          try {
-            const blockRes = await fetch(baseUrl, {
-              method: 'POST',
-              headers: { 'Content-Type': 'application/json' },
-              body: JSON.stringify({
-                jsonrpc: '2.0',
-                id: 3,
-                method: 'eth_getBlockByNumber',
-                params: [blockNum, false]
-              })
-            });
-            
-            const blockData = await blockRes.json();
-            if (blockData.result && blockData.result.timestamp) {
-              const timestamp = parseInt(blockData.result.timestamp, 16) * 1000;
-              blockTimestamps[blockNum] = timestamp;
-            }
-          } catch (e) {
-            console.log(`⚠️ ${chain.id}: Error fetching block ${blockNum}`);
-          }
-        })
-      );
-      
-      // Map timestamps to transactions
-      const allTxs = allTransfers
-        .slice(0, 50)
-        .map(tx => {
-          const timestamp = blockTimestamps[tx.blockNum];
-          if (!timestamp) {
-            console.log(`⚠️ ${chain.id}: No timestamp for block ${tx.blockNum}, skipping tx`);
-            return null;
-          }
-          
+
+      const toLeg = (tx) => {
+        const leg = {
+          type: evmLegType(tx, owner),
+          from: tx.from,
+          to: tx.to,
+          value: parseFloat(tx.value),
+          asset: tx.asset || nativeCurrencies[chain.id] || 'ETH',
+          category: tx.category,
+          contract: tx.rawContract?.address?.toLowerCase() || null
+        };
+        if (!NFT_TRANSFER_CATEGORIES.has(tx.category)) return leg;
+        const collection = collections.get(leg.contract) || tx.asset || null;
+        return { ...leg, value: Number(tx.quantity), asset: collection || 'NFT', isNft: true, tokenId: tx.tokenId, collection, quantity: tx.quantity };
+      };
+
+      // One entry per transaction hash, newest block first
+      const byHash = new Map();
+      for (const tx of transfers) {
+        const entry = byHash.get(tx.hash) || { tx, block: blockOf(tx), legs: [], rawContracts: [], sent: false };
+        entry.sent = entry.sent || sentByWallet(tx);
+        byHash.set(tx.hash, entry);
+        if (!hasValue(tx)) continue; // the bare call itself, not a transfer leg
+        entry.legs.push(toLeg(tx));
+        entry.rawContracts.push(tx.rawContract);
+      }
+      const grouped = [...byHash.values()].sort((a, b) => b.block - a.block);
+
+      // Fill the page, then finish its last block so the cursor can resume below it
+      let take = Math.min(limit, grouped.length);
+      while (take < grouped.length && grouped[take].block === grouped[take - 1].block) take++;
+      const page = grouped.slice(0, take);
+      const more = take < grouped.length || !sent.exhausted || !received.exhausted;
+      const lastBlock = page.length ? page[page.length - 1].block : null;
+      const nextCursor = more && lastBlock > 0 ? String(lastBlock - 1) : null;
+
+      // Calldata for what the wallet sent itself, so methods and approvals can be decoded
+      const calls = await fetchEvmTxCalls(baseUrl, page.filter(g => g.sent).map(g => g.tx.hash));
+
+      // Decoding may look up token metadata per row, so keep it to a few at a time
+      const allTxs = await mapWithConcurrency(page, 5, async ({ tx, block, legs, rawContracts, sent }) => {
+        const call = sent ? calls.get(tx.hash) || null : null;
+        const action = await decodeEvmAction({ legs, call, baseUrl, chainId: chain.id });
+        const base = {
+          hash: tx.hash,
+          timestamp: Date.parse(tx.metadata?.blockTimestamp) || null,
+          blockNumber: block,
+          chain: chain.id,
+          action,
+          transfers: legs
+        };
+        // A call that moved nothing (approval, claim that failed to pay out, …)
+        if (!legs.length) {
           return {
-            hash: tx.hash,
-            type: tx.type,
-            from: tx.from,
-            to: tx.to,
-            value: parseFloat(tx.value),
-            asset: tx.asset || nativeCurrencies[chain.id] || 'ETH',
-            category: tx.category,
-            timestamp: timestamp,
-            chain: chain.id,
-            rawContract: tx.rawContract
+            ...base, type: action.kind === 'approve' ? 'approve' : 'call',
+            from: tx.from, to: call?.to || tx.to, value: 0, asset: nativeCurrencies[chain.id] || 'ETH',
+            category: tx.category, rawContract: tx.rawContract
           };
-        })
-        .filter(tx => tx !== null)
-        .sort((a, b) => b.timestamp - a.timestamp);
+        }
+        const { type, primary } = legsHeadline(legs);
+        const { type: _legType, contract, ...display } = primary;
+        return {
+          ...base,
+          type,
+          ...display,
+          rawContract: rawContracts[legs.indexOf(primary)],
+          ...(primary.isNft && { contract })
+        };
+      });
       
-      console.log(`✅ ${chain.id}: Found ${allTxs.length} transactions with real timestamps`);
-      res.json({ transactions: allTxs });
+      console.log(`✅ ${chain.id}: Found ${allTxs.length} transactions (${transfers.length} transfers)`);
+      res.json({ transactions: allTxs, nextCursor });
       
     } catch (err) {
       console.error(`❌ ${chain.id} transaction error:`, err.message);
@@ -2208,219 +4657,287 @@ evmChains.forEach(chain => {
   });
 });
 
-// Solana transactions using Helius Enhanced API
+// Solana transactions using Helius Enhanced API. Every leg touching the wallet or one of its
+// token accounts is kept, with mints resolved through getAsset. ?limit= (max 100) and
+// ?before= (a signature; ?cursor= works too) page back through history.
+const SOLANA_TX_PAGE_DEFAULT = 50;
+const SOLANA_TX_PAGE_MAX = 100;
+const SOLANA_NFT_STANDARDS = new Set(['NonFungible', 'NonFungibleEdition', 'ProgrammableNonFungible']);
+
 app.get('/api/transactions/solana/:address', async (req, res) => {
   const { address } = req.params;
-  console.log(`\n========================================`);
-  console.log(`📜 SOLANA TX FETCH START`);
-  console.log(`Address: ${address}`);
-  console.log(`Helius Key: ${API_KEYS.helius ? 'Present' : 'MISSING!'}`);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || SOLANA_TX_PAGE_DEFAULT, 1), SOLANA_TX_PAGE_MAX);
+  const before = req.query.before || req.query.cursor || null;
+  console.log(`📜 Fetching solana transactions for: ${address}${before ? ` before ${before.substring(0, 12)}…` : ''}`);
   
   try {
-    // Use Helius Enhanced Transactions API for parsed data
-    const url = `https://api.helius.xyz/v0/addresses/${address}/transactions?api-key=${API_KEYS.helius}&limit=50`;
-    console.log(`🔗 Calling Enhanced API: ${url.replace(API_KEYS.helius, 'KEY')}`);
-    
+    const url = `https://api.helius.xyz/v0/addresses/${address}/transactions?api-key=${API_KEYS.helius}&limit=${limit}` +
+      (before ? `&before=${encodeURIComponent(before)}` : '');
     const response = await fetch(url);
-    console.log(`📥 Response status: ${response.status}`);
     
     if (!response.ok) {
       const errorText = await response.text();
-      console.error(`❌ API Error ${response.status}:`, errorText.substring(0, 200));
+      console.error(`❌ Solana API Error ${response.status}:`, errorText.substring(0, 200));
       return res.json({ transactions: [] });
     }
     
     const txList = await response.json();
-    console.log(`📦 Response type:`, Array.isArray(txList) ? 'Array' : 'Object');
-    console.log(`📝 Total transactions returned: ${txList.length || 0}`);
-    
-    if (!Array.isArray(txList) || txList.length === 0) {
-      console.log(`⚠️ No transactions found`);
-      return res.json({ transactions: [] });
-    }
-    
-    console.log(`📝 Sample transaction structure:`, Object.keys(txList[0]));
-    
-    // Parse Helius enhanced transactions and filter
-    const transactions = txList
-      .map(tx => {
-        // Helius provides parsed native transfers
-        const nativeTransfers = tx.nativeTransfers || [];
-        const tokenTransfers = tx.tokenTransfers || [];
-        
-        // Find transfers involving our address
-        const ourNativeTransfer = nativeTransfers.find(t => 
-          t.fromUserAccount === address || t.toUserAccount === address
-        );
-        
-        let type = 'unknown';
-        let value = 0;
-        let asset = 'SOL';
-        
-        if (ourNativeTransfer) {
-          value = ourNativeTransfer.amount / 1e9; // Convert lamports to SOL
-          type = ourNativeTransfer.fromUserAccount === address ? 'sent' : 'received';
-          asset = 'SOL';
-        } else if (tokenTransfers.length > 0) {
-          // Token transfer
-          const ourTokenTransfer = tokenTransfers.find(t =>
-            t.fromUserAccount === address || t.toUserAccount === address
-          );
-          if (ourTokenTransfer) {
-            value = ourTokenTransfer.tokenAmount || 0;
-            type = ourTokenTransfer.fromUserAccount === address ? 'sent' : 'received';
-            asset = ourTokenTransfer.mint ? ourTokenTransfer.mint.substring(0, 8) : 'TOKEN';
-          }
-        }
-        
-        // Must have valid timestamp
-        if (!tx.timestamp) {
-          console.log(`⚠️ Solana: Skipping tx ${tx.signature} - no timestamp`);
-          return null;
+    if (!Array.isArray(txList) || txList.length === 0) return res.json({ transactions: [], nextCursor: null });
+    // Helius pages by signature and can return a short page with older history still behind it,
+    // so any non-empty page carries a cursor; an empty one ends paging
+    const nextCursor = txList[txList.length - 1].signature || null;
+
+    // Token accounts the wallet owns, so ATA-only transfers (no user account filled in) still count
+    const owned = new Set();
+    for (const tx of txList) {
+      for (const acc of tx.accountData || []) {
+        for (const change of acc.tokenBalanceChanges || []) {
+          if (change.userAccount === address && change.tokenAccount) owned.add(change.tokenAccount);
         }
-        
-        // Must have type and value (skip unknown/NFT transactions)
-        if (type === 'unknown' || value === 0) {
-          console.log(`⚠️ Solana: Skipping tx ${tx.signature} - type: ${type}, value: ${value}`);
-          return null;
-        }
-        
-        return {
-          hash: tx.signature,
-          type: type,
-          from: type === 'received' ? '' : address,
-          to: type === 'sent' ? '' : address,
-          value: value,
-          asset: asset,
-          category: 'transaction',
-          timestamp: tx.timestamp * 1000,
-          chain: 'solana',
-          fee: tx.fee ? tx.fee / 1e9 : 0
-        };
-      })
-      .filter(tx => tx !== null); // Remove nulls
-    
-    console.log(`✅ Returning ${transactions.length} parsed transactions (filtered)`);
-    if (transactions.length > 0) {
-      console.log(`📝 Sample parsed tx:`, transactions[0]);
+      }
+      for (const t of tx.tokenTransfers || []) {
+        if (t.fromUserAccount === address && t.fromTokenAccount) owned.add(t.fromTokenAccount);
+        if (t.toUserAccount === address && t.toTokenAccount) owned.add(t.toTokenAccount);
+      }
     }
-    console.log(`========================================\n`);
-    res.json({ transactions });
+    const side = (user, tokenAccount) => (user === address || owned.has(tokenAccount) ? address : user || tokenAccount || '');
+    const touches = (t) => t.fromUserAccount === address || t.toUserAccount === address ||
+      owned.has(t.fromTokenAccount) || owned.has(t.toTokenAccount);
+
+    // Symbol / name / decimals for every mint on the page
+    const mints = [...new Set(txList.flatMap(tx => (tx.tokenTransfers || []).filter(touches).map(t => t.mint)).filter(Boolean))];
+    const mintInfo = new Map();
+    const lookupMints = (list) => mapWithConcurrency(list, 5, async (mint) => {
+      try {
+        mintInfo.set(mint, await fetchSolanaMintInfo(mint));
+      } catch (e) {
+        console.warn(`  ⚠️ Solana mint lookup failed for ${mint.substring(0, 8)}:`, e.message);
+      }
+    });
+    await lookupMints(mints);
+    // NFTs point at their collection's mint; its name is the collection name
+    await lookupMints([...new Set([...mintInfo.values()].map(info => info?.isNft && info.collection).filter(c => c && !mintInfo.has(c)))]);
+
+    const legType = (from, to) => {
+      if (!from) return 'mint';
+      if (!to) return 'burn';
+      if (from === address && to === address) return 'self';
+      return from === address ? 'sent' : 'received';
+    };
+    const nativeLeg = (t) => ({
+      type: legType(t.fromUserAccount, t.toUserAccount),
+      from: t.fromUserAccount,
+      to: t.toUserAccount,
+      value: t.amount / 1e9,
+      asset: 'SOL',
+      category: 'native',
+      contract: null
+    });
+    const tokenLeg = (t) => {
+      const info = mintInfo.get(t.mint);
+      const from = side(t.fromUserAccount, t.fromTokenAccount);
+      const to = side(t.toUserAccount, t.toTokenAccount);
+      const leg = {
+        type: legType(from, to),
+        from,
+        to,
+        value: Number(t.tokenAmount) || 0,
+        asset: info?.symbol || info?.name || (t.mint ? t.mint.substring(0, 8) : 'TOKEN'),
+        category: 'token',
+        contract: t.mint || null,
+        name: info?.name || null,
+        decimals: info?.decimals ?? null
+      };
+      if (!SOLANA_NFT_STANDARDS.has(t.tokenStandard) && !info?.isNft) return leg;
+      const collection = mintInfo.get(info?.collection)?.name || info?.name || info?.symbol || null;
+      return { ...leg, category: 'nft', asset: collection || 'NFT', isNft: true, tokenId: t.mint, collection, quantity: String(leg.value || 1) };
+    };
+
+    const transactions = [];
+    for (const tx of txList) {
+      const legs = [
+        ...(tx.nativeTransfers || []).filter(t => t.amount > 0 && (t.fromUserAccount === address || t.toUserAccount === address)).map(nativeLeg),
+        ...(tx.tokenTransfers || []).filter(touches).map(tokenLeg)
+      ];
+      // Skip what we can't describe at all: no value for us and no type from Helius
+      if (!legs.length && (!tx.type || tx.type === 'UNKNOWN')) continue;
+
+      const action = solanaAction(tx, legs);
+      const base = {
+        hash: tx.signature,
+        timestamp: tx.timestamp ? tx.timestamp * 1000 : null,
+        blockNumber: tx.slot ?? null,
+        chain: 'solana',
+        action,
+        transfers: legs,
+        ...(tx.feePayer === address && { fee: (tx.fee || 0) / 1e9 })
+      };
+      if (!legs.length) {
+        transactions.push({
+          ...base, type: action.kind === 'mint' || action.kind === 'burn' ? action.kind : 'call',
+          from: address, to: '', value: 0, asset: 'SOL', category: 'transaction'
+        });
+        continue;
+      }
+      const { type, primary } = legsHeadline(legs);
+      const { type: _legType, contract, ...display } = primary;
+      transactions.push({ ...base, type, ...display, ...(primary.isNft && { contract }) });
+    }
+    
+    console.log(`✅ solana: Found ${transactions.length} transactions (${txList.length} signatures)`);
+    res.json({ transactions, nextCursor });
     
   } catch (err) {
     console.error(`❌ SOLANA TX ERROR:`, err.message);
-    console.error(`Stack:`, err.stack);
-    console.log(`========================================\n`);
     res.json({ transactions: [] });
   }
 });
 
 // Cardano transactions using Blockfrost
+// Cardano history for the whole stake account: every owned address is merged into one
+// newest-first list, and each tx's net effect is computed across all of them, so change
+// outputs no longer look like sends. ?limit= (max 100) and ?cursor= (`height:index`) page.
+const CARDANO_TX_PAGE_DEFAULT = 25;
+const CARDANO_TX_PAGE_MAX = 100;
+
+const cardanoTxNewestFirst = (a, b) => b.block_height - a.block_height || b.tx_index - a.tx_index;
+
+// One page of tx refs across many addresses, newest first, strictly older than `cursor`
+const fetchCardanoTxPage = async (addresses, limit, cursor) => {
+  const [cursorHeight, cursorIndex] = cursor ? cursor.split(':').map(Number) : [];
+  const isBefore = (tx) => !cursor || tx.block_height < cursorHeight || (tx.block_height === cursorHeight && tx.tx_index < cursorIndex);
+  const count = Math.min(limit + 1, 100); // `to` is inclusive, so leave room for the cursor tx itself
+  const range = cursor ? `&to=${cursorHeight}:${cursorIndex}` : '';
+
+  let more = false;
+  const perAddress = await mapWithConcurrency(addresses, BLOCKFROST_CONCURRENCY, async (address) => {
+    const txs = (await blockfrostGet(`/addresses/${address}/transactions?order=desc&count=${count}${range}`)) || [];
+    if (txs.length === count) more = true;
+    return txs;
+  });
+
+  const byHash = new Map();
+  perAddress.flat().filter(isBefore).forEach(tx => byHash.set(tx.tx_hash, tx));
+  const sorted = [...byHash.values()].sort(cardanoTxNewestFirst);
+  const page = sorted.slice(0, limit);
+  const last = page[page.length - 1];
+  return { page, nextCursor: (more || sorted.length > limit) && last ? `${last.block_height}:${last.tx_index}` : null };
+};
+
+// Net movement of one tx for a set of owned addresses (lovelace and every native unit)
+const describeCardanoTx = async (txRef, owned, stakeAddress) => {
+  const [detail, utxos] = await Promise.all([
+    blockfrostGet(`/txs/${txRef.tx_hash}`),
+    blockfrostGet(`/txs/${txRef.tx_hash}/utxos`)
+  ]);
+  if (!detail || !utxos) return null;
+
+  // Reference inputs are only read; collateral only moves when the script failed
+  const failed = detail.valid_contract === false;
+  const inputs = (utxos.inputs || []).filter(i => !i.reference && !!i.collateral === failed);
+  const outputs = (utxos.outputs || []).filter(o => !!o.collateral === failed);
+
+  const net = new Map(); // unit → owned outputs − owned inputs
+  const tally = (entries, sign) => entries
+    .filter(e => owned.has(e.address))
+    .forEach(e => e.amount.forEach(({ unit, quantity }) => net.set(unit, (net.get(unit) || 0n) + sign * BigInt(quantity))));
+  tally(inputs, -1n);
+  tally(outputs, 1n);
+
+  // Strip what isn't a transfer: fee and deposit (if we paid), rewards withdrawn to our key
+  const paid = inputs.some(i => owned.has(i.address));
+  const fee = BigInt(detail.fees || 0);
+  let withdrawn = 0n;
+  if (stakeAddress && detail.withdrawal_count > 0) {
+    const withdrawals = (await blockfrostGet(`/txs/${txRef.tx_hash}/withdrawals`)) || [];
+    withdrawn = withdrawals.filter(w => w.address === stakeAddress).reduce((sum, w) => sum + BigInt(w.amount), 0n);
+  }
+  let lovelace = (net.get('lovelace') || 0n) - withdrawn;
+  if (paid) lovelace += fee + BigInt(detail.deposit || 0);
+  net.delete('lovelace');
+
+  const assets = await Promise.all([...net].filter(([, q]) => q !== 0n).map(async ([unit, quantity]) => {
+    let meta = null;
+    try { meta = await fetchBlockfrostAsset(unit); } catch (e) { /* name falls back to the hex asset name */ }
+    const nameHex = unit.slice(56);
+    const label = cip68Label(nameHex);
+    const decimals = Number(meta?.metadata?.decimals) || 0;
+    const rawName = Buffer.from(label ? nameHex.slice(8) : nameHex, 'hex').toString('utf8');
+    return {
+      unit,
+      policyId: unit.slice(0, 56),
+      name: meta?.onchain_metadata?.name || meta?.metadata?.name || (/^[ -~]+$/.test(rawName) ? rawName : nameHex),
+      ticker: meta?.metadata?.ticker || null,
+      quantity: quantity.toString(),
+      amount: Number(quantity) / Math.pow(10, decimals),
+      decimals
+    };
+  }));
+
+  let type;
+  if (lovelace < 0n) type = 'sent';
+  else if (lovelace > 0n) type = 'received';
+  else if (!assets.length) type = 'self';
+  else {
+    const incoming = assets.some(a => a.quantity[0] !== '-');
+    const outgoing = assets.some(a => a.quantity[0] === '-');
+    type = incoming && outgoing ? 'swap' : incoming ? 'received' : 'sent';
+  }
+  const value = type === 'self' ? Number(fee) / 1e6 : Math.abs(Number(lovelace)) / 1e6;
+  if (value < 0.01 && !assets.length && !withdrawn) return null; // Skip if value is negligible
+
+  const ownInput = inputs.find(i => owned.has(i.address))?.address;
+  const ownOutput = outputs.find(o => owned.has(o.address))?.address;
+  const counterparty = type === 'received'
+    ? inputs.find(i => !owned.has(i.address))?.address
+    : outputs.find(o => !owned.has(o.address))?.address;
+
+  return {
+    hash: txRef.tx_hash,
+    type,
+    from: (type === 'received' ? counterparty : ownInput || ownOutput) || '',
+    to: (type === 'received' ? ownOutput : counterparty || ownOutput) || '',
+    value,
+    asset: 'ADA',
+    assets,
+    category: 'transaction',
+    timestamp: detail.block_time * 1000,
+    chain: 'cardano',
+    fee: paid ? Number(fee) / 1e6 : 0,
+    ...(withdrawn && { rewardsWithdrawn: Number(withdrawn) / 1e6 }),
+    ...(failed && { failed: true }),
+    blockHeight: txRef.block_height
+  };
+};
+
 app.get('/api/transactions/cardano/:address', async (req, res) => {
   const { address } = req.params;
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || CARDANO_TX_PAGE_DEFAULT, 1), CARDANO_TX_PAGE_MAX);
+  const cursor = /^\d+:\d+$/.test(req.query.cursor || '') ? req.query.cursor : null;
   console.log(`📜 Fetching Cardano transactions for: ${address}`);
   
   try {
-    const response = await fetch(
-      `https://cardano-mainnet.blockfrost.io/api/v0/addresses/${address}/transactions?count=50&order=desc`,
-      { headers: { project_id: API_KEYS.blockfrost } }
-    );
-    
-    if (!response.ok) {
-      return res.json({ transactions: [] });
-    }
-    
-    const txHashes = await response.json();
-    
-    // Get details for each transaction (limit to first 20 for performance)
-    const txDetails = await Promise.all(
-      txHashes.slice(0, 20).map(async (tx) => {
-        try {
-          // Fetch transaction details
-          const detailRes = await fetch(
-            `https://cardano-mainnet.blockfrost.io/api/v0/txs/${tx.tx_hash}`,
-            { headers: { project_id: API_KEYS.blockfrost } }
-          );
-          const detail = await detailRes.json();
-          
-          // Fetch UTXOs to determine sent/received
-          const utxoRes = await fetch(
-            `https://cardano-mainnet.blockfrost.io/api/v0/txs/${tx.tx_hash}/utxos`,
-            { headers: { project_id: API_KEYS.blockfrost } }
-          );
-          const utxo = await utxoRes.json();
-          
-          // Calculate total input from our address
-          const inputAmount = (utxo.inputs || [])
-            .filter(input => input.address === address)
-            .reduce((sum, input) => {
-              const lovelace = input.amount.find(a => a.unit === 'lovelace');
-              return sum + parseInt(lovelace?.quantity || 0);
-            }, 0);
-          
-          // Calculate total output to our address
-          const outputAmount = (utxo.outputs || [])
-            .filter(output => output.address === address)
-            .reduce((sum, output) => {
-              const lovelace = output.amount.find(a => a.unit === 'lovelace');
-              return sum + parseInt(lovelace?.quantity || 0);
-            }, 0);
-          
-          const fee = parseFloat(detail.fees || 0);
-          
-          // Determine type and value
-          let type = 'unknown';
-          let value = 0;
-          
-          if (inputAmount > 0 && outputAmount === 0) {
-            // Sent all out
-            type = 'sent';
-            value = (inputAmount - fee) / 1e6;
-          } else if (inputAmount === 0 && outputAmount > 0) {
-            // Received
-            type = 'received';
-            value = outputAmount / 1e6;
-          } else if (inputAmount > outputAmount) {
-            // Sent (partial)
-            type = 'sent';
-            value = (inputAmount - outputAmount - fee) / 1e6;
-          } else if (outputAmount > inputAmount) {
-            // Received (partial)
-            type = 'received';
-            value = (outputAmount - inputAmount) / 1e6;
-          } else {
-            // Self-transfer
-            type = 'self';
-            value = (fee) / 1e6;
-          }
-          
-          // Skip if value is negligible
-          if (value < 0.01) return null;
-          
-          return {
-            hash: tx.tx_hash,
-            type: type,
-            from: type === 'received' ? '' : address,
-            to: type === 'sent' ? '' : address,
-            value: value,
-            asset: 'ADA',
-            category: 'transaction',
-            timestamp: detail.block_time * 1000,
-            chain: 'cardano',
-            fee: fee / 1e6
-          };
-        } catch (e) {
-          return null;
-        }
-      })
-    );
+    const { stakeAddress, addresses } = await resolveCardanoAccount(address);
+    if (!addresses.length) return res.json({ transactions: [], nextCursor: null, stakeAddress, addressCount: 0 });
+
+    const { page, nextCursor } = await fetchCardanoTxPage(addresses, limit, cursor);
+    const owned = new Set(addresses);
+    const txDetails = await mapWithConcurrency(page, BLOCKFROST_CONCURRENCY, async (tx) => {
+      try {
+        return await describeCardanoTx(tx, owned, stakeAddress);
+      } catch (e) {
+        console.error(`  Error processing Cardano tx ${tx.tx_hash}:`, e.message);
+        return null;
+      }
+    });
     
     const transactions = txDetails.filter(tx => tx !== null);
     
-    console.log(`✅ Cardano: Found ${transactions.length} transactions`);
-    res.json({ transactions });
+    console.log(`✅ Cardano: Found ${transactions.length} transactions across ${addresses.length} addresses`);
+    res.json({ transactions, nextCursor, stakeAddress, addressCount: addresses.length });
     
   } catch (err) {
+    if (err.status === 404) return res.status(404).json({ error: err.message, transactions: [] });
     console.error(`❌ Cardano transaction error:`, err.message);
     res.json({ transactions: [] });
   }
@@ -2512,6 +5029,290 @@ app.get('/api/transactions/monad/:address', async (req, res) => {
 
 console.log('✅ Transaction history routes configured');
 
+// --- Token approvals (ERC-20 allowances + ERC-721/1155 operator approvals) ---
+// Discovered from Approval / ApprovalForAll logs, then re-checked on chain: only approvals
+// that are still live are returned, each with approve(spender, 0) / setApprovalForAll(op, false)
+// calldata to revoke it. Single-token ERC-721 approvals are left out — they clear on transfer.
+const APPROVAL_TOPIC = '0x8c5be1e5ebec7d5bd14f71427d1e84f3dd0314c0f7b2291e5b200ac8c7c3b925';
+const APPROVAL_FOR_ALL_TOPIC = '0x17307eab39ab6107e8899845ad3d59bd9653f200f220920489ca2b5937696c31';
+const APPROVALS_CACHE_TTL_MS = 2 * 60 * 1000;
+const SPENDER_CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+const APPROVALS_REFRESH_COOLDOWN_MS = 30 * 1000; // ?refresh=1 can't force rescans more often than this
+const APPROVAL_LOG_MAX_SPLITS = 8; // a rejected eth_getLogs range is halved at most this deep
+const APPROVAL_LOG_CONCURRENCY = 4;
+// Public RPCs (Monad) won't serve logs from genesis; scan this many recent blocks instead,
+// in chunks no wider than the RPC's eth_getLogs block-range limit
+const APPROVAL_RPC_LOOKBACK_BLOCKS = Number(process.env.APPROVAL_RPC_LOOKBACK_BLOCKS) || 2000000;
+const APPROVAL_RPC_LOG_RANGE = Number(process.env.APPROVAL_RPC_LOG_RANGE) || 10000;
+// eth_getLogs chunks per event type per scan; the window shrinks to fit (range × this)
+const APPROVAL_RPC_MAX_LOG_REQUESTS = Number(process.env.APPROVAL_RPC_MAX_LOG_REQUESTS) || 100;
+const APPROVAL_MORALIS_MAX_PAGES = 10; // 100 approvals each
+
+// Spenders users approve every day, by address (the same deployments exist on most chains)
+const KNOWN_SPENDERS = {
+  '0x000000000022d473030f116ddee9f6b43ac78ba3': 'Uniswap Permit2',
+  '0x7a250d5630b4cf539739df2c5dacb4c659f2488d': 'Uniswap V2 Router',
+  '0xe592427a0aece92de3edee1f18e0157c05861564': 'Uniswap V3 Router',
+  '0x68b3465833fb72a70ecdf485e0e4c7bd8665fc45': 'Uniswap V3 Router 2',
+  '0x3fc91a3afd70395cd496c647d5a6cc9d4b2b7fad': 'Uniswap Universal Router',
+  '0xef1c6e67703c7bd7107eed8303fbe6ec2554bf6b': 'Uniswap Universal Router (old)',
+  '0x1111111254eeb25477b68fb85ed929f73a960582': '1inch Router v5',
+  '0x111111125421ca6dc452d289314280a0f8842a65': '1inch Router v6',
+  '0xdef1c0ded9bec7f1a1670819833240f027b25eff': '0x Exchange Proxy',
+  '0x00000000000000adc04c56bf30ac9d3c0aaf14dc': 'OpenSea Seaport 1.5',
+  '0x0000000000000068f116a894984e2db1123eb395': 'OpenSea Seaport 1.6',
+  '0x1e0049783f008a0085193e00003d00cd54003c71': 'OpenSea Conduit',
+  '0x00000000000111abe46ff893f3b2fdf1f759a8a8': 'Blur Execution Delegate',
+  '0x87870bca3f3fd6335c3f4ce8392d69350b4fa4e2': 'Aave V3 Pool',
+};
+
+// logRange: widest eth_getLogs block range the endpoints accept (null = no limit).
+// moralisChain: Moralis chain id for full-history ERC-20 approvals where logs only reach back so far
+const approvalChains = () => [
+  ...evmChains.map(c => ({ id: c.id, chainId: c.chainId, net: c.net, urls: [`https://${c.net}.g.alchemy.com/v2/${API_KEYS.alchemy}`], logRange: null, moralisChain: null })),
+  { id: 'monad', chainId: MONAD_CHAIN_ID, net: null, urls: MONAD_RPCS, logRange: APPROVAL_RPC_LOG_RANGE, moralisChain: '0x8f' }
+];
+
+const hexBlock = (n) => `0x${n.toString(16)}`;
+const padAddress = (a) => a.toLowerCase().replace(/^0x/, '').padStart(64, '0');
+const topicAddress = (topic) => `0x${topic.slice(-40)}`.toLowerCase();
+
+// JSON-RPC over a list of endpoints: the first one that answers wins; the last error is thrown
+const evmRpcClient = (urls) => async (method, params) => {
+  let lastError = new Error('no RPC endpoints');
+  for (const url of urls) {
+    try {
+      const r = await fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params }) });
+      const data = await r.json();
+      if (data.error) { lastError = new Error(data.error.message || `RPC error ${data.error.code}`); continue; }
+      if (data.result !== undefined) return data.result;
+    } catch (e) { lastError = e; }
+  }
+  throw lastError;
+};
+
+// eth_getLogs over [from, to] in chunks of at most `maxRange` blocks. A chunk the node still
+// rejects as too large (too many results) is halved; ranges that can't be read at all end up
+// in `failed` rather than sinking the scan. Only when every chunk fails is the error thrown.
+const getLogsChunked = async (rpc, filter, from, to, maxRange = null) => {
+  const step = maxRange || to - from + 1;
+  const chunks = [];
+  for (let start = from; start <= to; start += step) chunks.push([start, Math.min(to, start + step - 1)]);
+
+  const failed = [];
+  let lastError = null;
+  // → { logs, ok }, ok when at least part of [a, b] was read
+  const read = async (a, b, depth) => {
+    try {
+      return { logs: await rpc('eth_getLogs', [{ ...filter, fromBlock: hexBlock(a), toBlock: hexBlock(b) }]) || [], ok: true };
+    } catch (e) {
+      if (depth < APPROVAL_LOG_MAX_SPLITS && b > a && /range|limit|too many|exceed|10000|size/i.test(e.message)) {
+        const mid = Math.floor((a + b) / 2);
+        const left = await read(a, mid, depth + 1);
+        const right = await read(mid + 1, b, depth + 1);
+        return { logs: [...left.logs, ...right.logs], ok: left.ok || right.ok };
+      }
+      failed.push({ fromBlock: a, toBlock: b, error: e.message });
+      lastError = e;
+      return { logs: [], ok: false };
+    }
+  };
+  const results = await mapWithConcurrency(chunks, APPROVAL_LOG_CONCURRENCY, ([a, b]) => read(a, b, 0));
+  if (results.length && !results.some(r => r.ok)) throw lastError;
+  return { logs: results.flatMap(r => r.logs), failed };
+};
+
+// symbol / name / decimals by eth_call, for chains without Alchemy's token API; cached like it
+const fetchRpcTokenMetadata = async (rpc, chainId, contract) => {
+  const key = `token-meta:${chainId}:${contract}`;
+  const cached = await cacheGet(key);
+  if (cached !== null) return cached;
+  const call = (data) => rpc('eth_call', [{ to: contract, data }, 'latest']).catch(() => null);
+  const [symbol, name, decimals] = await Promise.all([call('0x95d89b41'), call('0x06fdde03'), call('0x313ce567')]);
+  if (symbol === null && name === null) return null;
+  return cacheSet(key, {
+    symbol: decodeAbiString(symbol) || null,
+    name: decodeAbiString(name) || null,
+    decimals: decimals && decimals !== '0x' ? Number(BigInt(decimals)) : null,
+    logo: null
+  }, TOKEN_META_TTL_MS);
+};
+
+// Who the spender is: a curated name, else Etherscan's verified-source record (needs
+// ETHERSCAN_KEY; `verified` stays null without it), plus whether it's a contract at all
+const describeSpender = async (rpc, chainId, spender) => {
+  const key = `spender:${chainId}:${spender}`;
+  const cached = await cacheGet(key);
+  if (cached !== null) return cached;
+  const code = await rpc('eth_getCode', [spender, 'latest']).catch(() => null);
+  const info = { address: spender, label: KNOWN_SPENDERS[spender] || null, verified: KNOWN_SPENDERS[spender] ? true : null, isContract: code === null ? null : code !== '0x' };
+  if (info.verified === null && info.isContract && API_KEYS.etherscan) {
+    try {
+      const r = await fetch(`https://api.etherscan.io/v2/api?chainid=${chainId}&module=contract&action=getsourcecode&address=${spender}&apikey=${API_KEYS.etherscan}`);
+      const d = await r.json();
+      const source = Array.isArray(d.result) ? d.result[0] : null;
+      if (d.status === '1' && source) {
+        info.verified = !!source.SourceCode;
+        info.label = source.ContractName || null;
+      }
+    } catch (e) { console.warn(`  ⚠️ Etherscan lookup failed for ${spender}:`, e.message); }
+  }
+  if (info.isContract === false) info.verified = false; // an EOA has nothing to verify
+  // Unresolved lookups are retried next time rather than cached
+  return info.isContract === null ? info : cacheSet(key, info, SPENDER_CACHE_TTL_MS);
+};
+
+// Active ERC-20 approvals over the wallet's whole history from Moralis (needs MORALIS_KEY)
+// → { candidates, complete }, or null when unavailable so the caller falls back to logs
+const fetchMoralisApprovals = async (moralisChain, owner) => {
+  if (!API_KEYS.moralis || !moralisChain) return null;
+  const headers = { 'accept': 'application/json', 'X-API-Key': API_KEYS.moralis };
+  const candidates = [];
+  let cursor = null;
+  try {
+    for (let page = 0; page < APPROVAL_MORALIS_MAX_PAGES; page++) {
+      const params = new URLSearchParams({ chain: moralisChain, limit: '100' });
+      if (cursor) params.set('cursor', cursor);
+      const r = await fetch(`https://deep-index.moralis.io/api/v2.2/wallets/${owner}/approvals?${params}`, { headers });
+      if (!r.ok) throw new Error(`Moralis returned ${r.status}`);
+      const data = await r.json();
+      for (const a of data.result || []) {
+        if (!a.token?.address || !a.spender?.address) continue;
+        candidates.push({
+          kind: 'erc20', token: a.token.address.toLowerCase(), spender: a.spender.address.toLowerCase(),
+          block: Number(a.block_number) || 0, txHash: a.transaction_hash || null
+        });
+      }
+      cursor = data.cursor || null;
+      if (!cursor) break;
+    }
+  } catch (e) {
+    console.warn(`  ⚠️ Moralis approvals lookup failed:`, e.message);
+    return null;
+  }
+  return { candidates, complete: !cursor };
+};
+
+const scanApprovals = async (chain, owner) => {
+  const rpc = evmRpcClient(chain.urls);
+  const latest = Number(BigInt(await rpc('eth_blockNumber', [])));
+  // Public RPCs only get a recent window: the lookback, capped to what the request budget covers
+  const window = chain.logRange ? Math.min(APPROVAL_RPC_LOOKBACK_BLOCKS, chain.logRange * APPROVAL_RPC_MAX_LOG_REQUESTS) : APPROVAL_RPC_LOOKBACK_BLOCKS;
+  const fromBlock = chain.net ? 0 : Math.max(0, latest - window + 1);
+  const ownerTopic = `0x${padAddress(owner)}`;
+  // An indexer covers ERC-20 approvals in full; ApprovalForAll still comes from logs
+  const indexed = chain.net ? null : await fetchMoralisApprovals(chain.moralisChain, owner);
+  const [approvalScan, operatorScan] = await Promise.all([
+    indexed ? { logs: [], failed: [] } : getLogsChunked(rpc, { topics: [APPROVAL_TOPIC, ownerTopic] }, fromBlock, latest, chain.logRange),
+    getLogsChunked(rpc, { topics: [APPROVAL_FOR_ALL_TOPIC, ownerTopic] }, fromBlock, latest, chain.logRange)
+  ]);
+  const approvalLogs = approvalScan.logs, operatorLogs = operatorScan.logs;
+  const failedRanges = [...approvalScan.failed, ...operatorScan.failed];
+  if (failedRanges.length) console.warn(`  ⚠️ ${chain.id}: ${failedRanges.length} log ranges unreadable — returning partial approvals`);
+
+  // Latest event per (contract, spender); ERC-721 single-token Approvals index a 4th topic
+  const candidates = new Map();
+  for (const c of indexed?.candidates || []) candidates.set(`${c.kind}:${c.token}:${c.spender}`, c);
+  const oldestFirst = (a, b) => Number(BigInt(a.blockNumber) - BigInt(b.blockNumber)) || Number(BigInt(a.logIndex || 0) - BigInt(b.logIndex || 0));
+  for (const log of [...approvalLogs.filter(l => l.topics.length === 3), ...operatorLogs.filter(l => l.topics.length === 3)].sort(oldestFirst)) {
+    const kind = log.topics[0] === APPROVAL_TOPIC ? 'erc20' : 'nft';
+    const token = log.address.toLowerCase();
+    const spender = topicAddress(log.topics[2]);
+    candidates.set(`${kind}:${token}:${spender}`, { kind, token, spender, block: Number(BigInt(log.blockNumber)), txHash: log.transactionHash });
+  }
+
+  const checked = await mapWithConcurrency([...candidates.values()], 5, async (c) => {
+    const data = c.kind === 'erc20'
+      ? `0xdd62ed3e${padAddress(owner)}${padAddress(c.spender)}`  // allowance(owner, spender)
+      : `0xe985e9c5${padAddress(owner)}${padAddress(c.spender)}`; // isApprovedForAll(owner, operator)
+    let current = null;
+    try { current = toRawAmount(await rpc('eth_call', [{ to: c.token, data }, 'latest'])); }
+    catch (e) { console.warn(`  ⚠️ ${chain.id}: approval check failed for ${c.token}:`, e.message); }
+    if (current === 0n) return null; // revoked or used up
+
+    const [meta, spender] = await Promise.all([
+      chain.net ? fetchEvmTokenMetadata(chain.urls[0], chain.id, c.token) : fetchRpcTokenMetadata(rpc, chain.chainId, c.token),
+      describeSpender(rpc, chain.chainId, c.spender)
+    ]);
+    const collection = c.kind === 'nft' && chain.net ? await fetchNftCollectionName(chain.net, chain.id, c.token) : null;
+    const unlimited = c.kind === 'erc20' && current !== null && current >= UNLIMITED_ALLOWANCE;
+    const risks = [
+      ...(current === null ? ['unchecked'] : []),
+      ...(unlimited || c.kind === 'nft' ? ['unlimited'] : []),
+      ...(spender.verified === false ? ['unverified'] : []),
+      ...(spender.isContract === false ? ['eoa'] : [])
+    ];
+    return {
+      type: c.kind === 'erc20' ? 'erc20' : 'operator',
+      token: { address: c.token, symbol: meta?.symbol || null, name: collection || meta?.name || null, decimals: meta?.decimals ?? null, logo: meta?.logo || null },
+      spender,
+      allowance: c.kind === 'erc20'
+        ? { raw: current === null ? null : current.toString(), formatted: current === null ? null : unlimited ? 'unlimited' : meta?.decimals != null ? formatUnitsExact(current, meta.decimals) : current.toString(), unlimited }
+        : { approvedForAll: current === null ? null : true },
+      risks,
+      approvedAt: { block: c.block, txHash: c.txHash },
+      revoke: {
+        chainId: chain.chainId,
+        to: c.token,
+        value: '0x0',
+        data: c.kind === 'erc20'
+          ? `0x095ea7b3${padAddress(c.spender)}${'0'.repeat(64)}`  // approve(spender, 0)
+          : `0xa22cb465${padAddress(c.spender)}${'0'.repeat(64)}`  // setApprovalForAll(operator, false)
+      }
+    };
+  });
+
+  // What was actually searched, per approval type — a recent window is not a clean bill of health
+  const coverage = {
+    erc20: indexed ? { source: 'moralis', complete: indexed.complete } : { source: 'logs', fromBlock, complete: fromBlock === 0 },
+    operator: { source: 'logs', fromBlock, complete: fromBlock === 0 }
+  };
+
+  // Riskiest first, then newest
+  const approvals = checked.filter(Boolean).sort((a, b) => b.risks.length - a.risks.length || b.approvedAt.block - a.approvedAt.block);
+  return {
+    chain: chain.id,
+    address: owner,
+    approvals,
+    totals: {
+      count: approvals.length,
+      unlimited: approvals.filter(a => a.risks.includes('unlimited')).length,
+      unverified: approvals.filter(a => a.risks.includes('unverified') || a.risks.includes('eoa')).length
+    },
+    scannedFromBlock: fromBlock,
+    latestBlock: latest,
+    coverage,
+    // Older history wasn't scanned or some ranges couldn't be read, so approvals may be missing
+    partial: failedRanges.length > 0 || !coverage.erc20.complete || !coverage.operator.complete,
+    ...(failedRanges.length && { failedRanges: failedRanges.map(({ fromBlock, toBlock }) => ({ fromBlock, toBlock })) }),
+    checked_at: new Date().toISOString()
+  };
+};
+
+// GET /api/approvals/:chain/:address[?refresh=1] — cached for 2 minutes; a refresh is only
+// honoured once the cached scan is older than the cooldown, so it can't be used to hammer RPCs
+app.get('/api/approvals/:chain/:address', async (req, res) => {
+  const chain = approvalChains().find(c => c.id === req.params.chain);
+  if (!chain) return res.status(400).json({ error: `Unsupported chain: ${req.params.chain}` });
+  if (!/^0x[0-9a-fA-F]{40}$/.test(req.params.address)) return res.status(400).json({ error: 'Invalid EVM address' });
+  const owner = req.params.address.toLowerCase();
+  const cacheKey = `approvals:${chain.id}:${owner}`;
+
+  const cached = await cacheGet(cacheKey);
+  if (cached && (req.query.refresh !== '1' || Date.now() - Date.parse(cached.checked_at) < APPROVALS_REFRESH_COOLDOWN_MS)) {
+    return res.json(cached);
+  }
+  try {
+    console.log(`🔐 Scanning ${chain.id} approvals for ${owner}`);
+    const payload = await scanApprovals(chain, owner);
+    console.log(`✅ ${chain.id}: ${payload.approvals.length} live approvals (${payload.totals.unlimited} unlimited)`);
+    res.json(await cacheSet(cacheKey, payload, APPROVALS_CACHE_TTL_MS));
+  } catch (e) {
+    console.error(`❌ ${chain.id} approvals error:`, e.message);
+    res.status(502).json({ error: `Could not read approvals: ${e.message}` });
+  }
+});
+
 app.get('*', (req, res) => res.sendFile(path.join(__dirname, 'public', 'index.html')));
 // Validate critical API keys at startup
 if (!API_KEYS.alchemy) {